@@ -0,0 +1,191 @@
+/**
+ * HID device picker
+ * Answers Electron's select-hid-device event with the glasses the user picks
+ * in the renderer, without polling.
+ *
+ * Events:
+ *   "list"  (entries) - show or update the device list
+ *   "close" ()        - hide the list, the request was answered, cancelled or timed out
+ */
+
+const EventEmitter = require("events");
+
+const VITURE_VENDOR_ID = 0x35ca;
+
+// Keep in sync with VitureHID.PRODUCT_IDS in public/viture-hid.js
+const VITURE_MODELS = {
+  "Viture One": [0x1011, 0x1013, 0x1017],
+  "Viture One Lite": [0x1015, 0x101b],
+  "Viture Pro": [0x1019, 0x101d],
+  "Viture Luma Pro": [0x1121, 0x1141],
+  "Viture Luma": [0x1131]
+};
+
+// Virtual headset offered next to real devices, see public/viture-simulator.js
+const SIMULATED_DEVICE = {
+  deviceId: "viture-simulator",
+  name: "Viture Simulator (virtual)",
+  label: "Viture Simulator (virtual)",
+  vendorId: VITURE_VENDOR_ID,
+  productId: 0x1019
+};
+
+// Unanswered requests are cancelled after this long
+const PICKER_TIMEOUT_MS = 60000;
+
+function modelName(device) {
+  if (device.vendorId !== VITURE_VENDOR_ID) return null;
+
+  const entry = Object.entries(VITURE_MODELS).find(([, ids]) => ids.includes(device.productId));
+  return entry ? entry[0] : null;
+}
+
+/**
+ * Model part of a headset ID, vendor and product ID in hex: "35ca:1019".
+ * Keep in sync with headsetIdOf() in public/viture-hid.js
+ */
+function modelId(device) {
+  return `${device.vendorId.toString(16).padStart(4, "0")}:${device.productId.toString(16).padStart(4, "0")}`;
+}
+
+/**
+ * Add the serial numbers of the listed glasses to those known per model.
+ * WebHID hides serial numbers, so the renderer keys headsets on these.
+ * @param {Object<string, string[]>} known - Serial numbers by modelId()
+ * @param {Array} deviceList - HID devices offered by Electron
+ * @returns {Object<string, string[]>} The updated copy, or known itself if nothing was added
+ */
+function addSerialNumbers(known, deviceList) {
+  let result = known;
+  for (const device of deviceList) {
+    if (modelName(device) === null || !device.serialNumber) continue;
+
+    const serials = result[modelId(device)] || [];
+    if (serials.includes(device.serialNumber)) continue;
+    result = { ...result, [modelId(device)]: [...serials, device.serialNumber] };
+  }
+  return result;
+}
+
+/**
+ * Whether a device is the one remembered in settings.lastDevice
+ */
+function matchesDevice(device, remembered) {
+  if (!remembered || device.vendorId !== remembered.vendorId || device.productId !== remembered.productId) {
+    return false;
+  }
+  return !remembered.serialNumber || !device.serialNumber || device.serialNumber === remembered.serialNumber;
+}
+
+class DevicePicker extends EventEmitter {
+  constructor() {
+    super();
+    this._callback = null;
+    this._devices = [];
+    this._timer = null;
+    this.selectedSerialNumber = null;   // Of the glasses the last request was answered with
+  }
+
+  get pending() {
+    return this._callback !== null;
+  }
+
+  /**
+   * Handle a select-hid-device request
+   * @param {Array} deviceList - HID devices offered by Electron
+   * @param {function(string|null)} callback - Electron's callback, null cancels
+   * @param {object|null} lastDevice - The remembered choice, picked without asking if present
+   */
+  request(deviceList, callback, lastDevice) {
+    // A new request supersedes one the user never answered
+    this.cancel();
+
+    this._devices = deviceList.filter(device => modelName(device) !== null);
+
+    const remembered = this._devices.find(device => matchesDevice(device, lastDevice));
+    if (remembered) {
+      console.log("Selecting remembered HID device:", remembered.name);
+      this.selectedSerialNumber = remembered.serialNumber || null;
+      callback(remembered.deviceId);
+      return;
+    }
+
+    this._callback = callback;
+    this._timer = setTimeout(() => {
+      console.log("HID device selection timed out");
+      this._finish(null);
+    }, PICKER_TIMEOUT_MS);
+    this._emitList();
+  }
+
+  /**
+   * Answer the pending request
+   * @param {string|null} deviceId - The chosen device, null cancels
+   */
+  select(deviceId) {
+    if (!this.pending) return;
+
+    const known = deviceId === SIMULATED_DEVICE.deviceId ||
+      this._devices.some(device => device.deviceId === deviceId);
+    this._finish(known ? deviceId : null);
+  }
+
+  cancel() {
+    if (this.pending) this._finish(null);
+  }
+
+  // Electron reports devices plugged in or out while the list is open
+  addDevice(device) {
+    if (!this.pending || modelName(device) === null) return;
+    if (this._devices.some(d => d.deviceId === device.deviceId)) return;
+
+    this._devices.push(device);
+    this._emitList();
+  }
+
+  removeDevice(device) {
+    if (!this.pending) return;
+
+    this._devices = this._devices.filter(d => d.deviceId !== device.deviceId);
+    this._emitList();
+  }
+
+  _finish(deviceId) {
+    const callback = this._callback;
+    const device = this._devices.find(d => d.deviceId === deviceId);
+    this.selectedSerialNumber = device && device.serialNumber ? device.serialNumber : null;
+    clearTimeout(this._timer);
+    this._timer = null;
+    this._callback = null;
+    this._devices = [];
+
+    this.emit("close");
+    // The simulator is not a real HID device, the renderer adds it itself
+    callback(deviceId === SIMULATED_DEVICE.deviceId ? null : deviceId);
+  }
+
+  _emitList() {
+    // Every headset exposes several HID interfaces; list each one once
+    const seen = new Set();
+    const entries = [];
+    for (const device of this._devices) {
+      const key = `${device.vendorId}:${device.productId}:${device.serialNumber || ""}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      const model = modelName(device);
+      entries.push({
+        deviceId: device.deviceId,
+        name: device.name,
+        label: device.serialNumber ? `${model} (${device.serialNumber})` : model,
+        vendorId: device.vendorId,
+        productId: device.productId,
+        serialNumber: device.serialNumber || null
+      });
+    }
+
+    this.emit("list", [...entries, SIMULATED_DEVICE]);
+  }
+}
+
+module.exports = { DevicePicker, modelName, addSerialNumbers, VITURE_VENDOR_ID, SIMULATED_DEVICE, PICKER_TIMEOUT_MS };
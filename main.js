@@ -1,17 +1,38 @@
-const { app, BrowserWindow, ipcMain, shell, screen } = require("electron");
+const { app, BrowserWindow, ipcMain, shell, screen, dialog, globalShortcut } = require("electron");
 const path = require("path");
+const fs = require("fs");
 const dgram = require("dgram");
+const { SettingsStore } = require("./settings");
+const { sendPose, sendVmcStatus, sanitizeOutputs } = require("./outputs");
+const { PoseServer } = require("./pose-server");
+const { DevicePicker, addSerialNumbers, VITURE_VENDOR_ID, SIMULATED_DEVICE } = require("./device-picker");
 
-const FTNIR_HOST = "127.0.0.1";
-const FTNIR_PORT = 5550;
 const udp = dgram.createSocket("udp4");
-
-let selectedDevice = null;
+udp.on("error", (err) => console.warn("UDP socket error:", err.message));
+
+// VMC receivers expect availability and time messages even while the head is still
+const VMC_STATUS_INTERVAL_MS = 1000;
+const TRACKING_TIMEOUT_MS = 500;
+// The UDP send rate shown under "Diagnostics" is measured over this interval
+const UDP_RATE_INTERVAL_MS = 1000;
+
+// "--simulator" or VITURE_SIMULATOR=1 connects the simulator on launch, for CI and machines without glasses
+const launchOptions = {
+  simulator: process.argv.includes("--simulator") || process.env.VITURE_SIMULATOR === "1"
+};
+
+let settings = null;
+let poseServer = null;
+let devicePicker = null;
+let lastPoseTime = 0;
+let udpStats = { packets: 0, rate: 0 };
+let udpPacketsAtLastRate = 0;
+let recenterHotkey = { accelerator: "", registered: false, error: null };
 
 function createWindow() {
   const win = new BrowserWindow({
-    width: 400,
-    height: 400,
+    width: 480,
+    height: 640,
     webPreferences: {
       preload: path.join(__dirname, "preload.js"),
       contextIsolation: true,   // easier for now
@@ -19,37 +40,25 @@ function createWindow() {
     }
   });
 
-  win.setContentSize(400, 400);
+  win.setContentSize(480, 640);
   win.maximizable = false;
   win.minimizable = true;
   win.resizable = false;
 
   win.menuBarVisible = false;
 
-  win.webContents.session.on('select-hid-device', async (event, data, callback) => {
-    event.preventDefault();
-    //console.log("Device list:", data);
-
-    selectedDevice = null;
-    
-    if (!data.deviceList || data.deviceList.length === 0) {
-      console.log("No HID devices found");
-      return;
-    }
-
-    win.webContents.send('hid-device-list', data.deviceList);
+  // Replugged glasses are a new device to Chromium; keep them authorized so
+  // the renderer can reopen them without showing the device list again
+  win.webContents.session.setDevicePermissionHandler((details) =>
+    details.deviceType === "hid" && details.device.vendorId === VITURE_VENDOR_ID);
 
-    while(selectedDevice === null) {
-      await new Promise(resolve => setTimeout(resolve, 100));
-    }
-
-    const deviceId = selectedDevice.deviceId;
-    selectedDevice = null;
-
-    console.log("Selected HID device ID:", deviceId);
-
-    callback(deviceId);
+  win.webContents.session.on('select-hid-device', (event, details, callback) => {
+    event.preventDefault();
+    rememberSerialNumbers(details.deviceList || []);
+    devicePicker.request(details.deviceList || [], callback, settings.get().lastDevice);
   });
+  win.webContents.session.on('hid-device-added', (event, details) => devicePicker.addDevice(details.device));
+  win.webContents.session.on('hid-device-removed', (event, details) => devicePicker.removeDevice(details.device));
 
   win.loadFile("public/index.html");
 
@@ -66,27 +75,171 @@ function createWindow() {
 }
 
 app.whenReady().then(() => {
+    settings = new SettingsStore(path.join(app.getPath("userData"), "settings.json"));
+    settings.load();
+    settings.on("change", (data) => {
+      BrowserWindow.getAllWindows().forEach(w => w.webContents.send('settings-changed', data));
+      if (data.recenterHotkey !== recenterHotkey.accelerator) registerRecenterHotkey();
+      poseServer.configure(data.webSocket);
+    });
+
+    poseServer = new PoseServer();
+    poseServer.on("recenter", requestRecenter);
+    poseServer.on("status", (status) => {
+      BrowserWindow.getAllWindows().forEach(w => w.webContents.send('pose-server-status', status));
+    });
+    poseServer.configure(settings.get().webSocket);
+
+    devicePicker = new DevicePicker();
+    devicePicker.on("list", (devices) => {
+      BrowserWindow.getAllWindows().forEach(w => w.webContents.send('hid-device-list', devices));
+    });
+    devicePicker.on("close", () => {
+      BrowserWindow.getAllWindows().forEach(w => w.webContents.send('hid-device-list-closed'));
+    });
+
     ipcMain.on('send-tracking-data', processTrackingData);
     ipcMain.on('send-device-selection', processDeviceSelection);
+    ipcMain.on('send-device-info', (event, device) => poseServer.setDevice(device));
+    ipcMain.handle('get-settings', () => settings.get());
+    ipcMain.handle('set-settings', processSettings);
+    ipcMain.handle('save-recording', saveRecording);
+    ipcMain.handle('open-recording', openRecording);
+    ipcMain.handle('get-recenter-hotkey', () => recenterHotkey);
+    ipcMain.handle('get-pose-server-status', () => poseServer.status);
+    ipcMain.handle('get-udp-stats', () => udpStats);
+    ipcMain.handle('get-launch-options', () => launchOptions);
+    ipcMain.handle('get-headset-serials', () => ({
+      selected: devicePicker.selectedSerialNumber,
+      byModel: settings.get().headsetSerials
+    }));
+    ipcMain.on('recenter', requestRecenter);
     createWindow();
+    registerRecenterHotkey();
+    setInterval(sendVmcHeartbeat, VMC_STATUS_INTERVAL_MS);
+    setInterval(updateUdpRate, UDP_RATE_INTERVAL_MS);
 });
 
+app.on('will-quit', () => {
+  globalShortcut.unregisterAll();
+  poseServer.close();
+});
+
+// Ask every window to recenter, the renderer owns the tracking state
+function requestRecenter() {
+  BrowserWindow.getAllWindows().forEach(w => w.webContents.send('recenter-request'));
+}
+
+// (Re)register the global recenter shortcut, which works while other apps have focus
+function registerRecenterHotkey() {
+  const accelerator = settings.get().recenterHotkey || "";
+
+  if (recenterHotkey.registered) {
+    globalShortcut.unregister(recenterHotkey.accelerator);
+  }
+
+  recenterHotkey = { accelerator, registered: false, error: null };
+
+  if (accelerator) {
+    try {
+      recenterHotkey.registered = globalShortcut.register(accelerator, requestRecenter);
+      if (!recenterHotkey.registered) {
+        recenterHotkey.error = "Shortcut is already in use by another application";
+      }
+    } catch (e) {
+      recenterHotkey.error = "Invalid shortcut: " + e.message;
+    }
+  }
+
+  if (recenterHotkey.error) console.warn("Recenter hotkey:", recenterHotkey.error);
+
+  BrowserWindow.getAllWindows().forEach(w => w.webContents.send('recenter-hotkey-status', recenterHotkey));
+}
+
+// Electron's device list is the only place serial numbers show up; keep them for later runs
+function rememberSerialNumbers(deviceList) {
+  const known = settings.get().headsetSerials;
+  const serials = addSerialNumbers(known, deviceList);
+  if (serials !== known) settings.set({ headsetSerials: serials });
+}
+
+// device is an entry of the list sent to the renderer, or null to cancel
 function processDeviceSelection(event, device) {
-  selectedDevice = device;
+  if (!devicePicker.pending) return;
+  devicePicker.select(device ? device.deviceId : null);
+
+  // The simulator cannot be selected without the renderer, so it is not remembered
+  if (!device || device.deviceId === SIMULATED_DEVICE.deviceId) return;
+
+  settings.set({
+    lastDevice: {
+      vendorId: device.vendorId,
+      productId: device.productId,
+      serialNumber: device.serialNumber || null,
+      name: device.name
+    }
+  });
 }
 
-function processTrackingData(event, r) {
-    const buffer = new ArrayBuffer(48);
-    const view = new DataView(buffer);
+function processSettings(event, patch) {
+  if (patch && patch.outputs !== undefined) {
+    patch.outputs = Array.isArray(patch.outputs) ? sanitizeOutputs(patch.outputs) : settings.get().outputs;
+  }
+  return settings.set(patch);
+}
 
-    view.setFloat64(0,  r.x,     true);
-    view.setFloat64(8,  r.y,     true);
-    view.setFloat64(16, r.z,     true);
-    view.setFloat64(24, r.yaw,   true);
-    view.setFloat64(32, r.pitch, true);
-    view.setFloat64(40, r.roll,  true);
+const RECORDING_FILTERS = [
+  { name: "Viture HID recordings", extensions: ["vhr", "jsonl"] },
+  { name: "All files", extensions: ["*"] }
+];
+
+async function saveRecording(event, text, headsetId) {
+  const win = BrowserWindow.fromWebContents(event.sender);
+  const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+  // With several headsets the headset ID tells the files apart
+  const name = headsetId ? `viture-${String(headsetId).replace(/[^\w-]/g, "_")}-${stamp}` : `viture-${stamp}`;
+  const result = await dialog.showSaveDialog(win, {
+    title: headsetId ? `Save HID recording of ${headsetId}` : "Save HID recording",
+    defaultPath: path.join(app.getPath("documents"), `${name}.vhr`),
+    filters: RECORDING_FILTERS
+  });
 
-    const nodeBuffer = Buffer.from(buffer);
+  if (result.canceled || !result.filePath) return null;
 
-    udp.send(nodeBuffer, 0, nodeBuffer.byteLength, FTNIR_PORT, FTNIR_HOST);
-}
\ No newline at end of file
+  await fs.promises.writeFile(result.filePath, text, "utf8");
+  console.log("Recording saved to", result.filePath);
+  return result.filePath;
+}
+
+async function openRecording(event) {
+  const win = BrowserWindow.fromWebContents(event.sender);
+  const result = await dialog.showOpenDialog(win, {
+    title: "Open HID recording",
+    properties: ["openFile"],
+    filters: RECORDING_FILTERS
+  });
+
+  if (result.canceled || result.filePaths.length === 0) return null;
+
+  const filePath = result.filePaths[0];
+  return {
+    name: path.basename(filePath),
+    text: await fs.promises.readFile(filePath, "utf8")
+  };
+}
+
+function processTrackingData(event, r) {
+  lastPoseTime = Date.now();
+  udpStats.packets += sendPose(udp, r, settings.get().outputs);
+  poseServer.broadcast(r);
+}
+
+function updateUdpRate() {
+  udpStats.rate = (udpStats.packets - udpPacketsAtLastRate) * 1000 / UDP_RATE_INTERVAL_MS;
+  udpPacketsAtLastRate = udpStats.packets;
+}
+
+function sendVmcHeartbeat() {
+  const tracking = Date.now() - lastPoseTime < TRACKING_TIMEOUT_MS;
+  sendVmcStatus(udp, settings.get().outputs, process.uptime(), tracking);
+}
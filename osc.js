@@ -0,0 +1,71 @@
+/**
+ * Minimal OSC 1.0 encoder
+ * Supports int32 (i), float32 (f), float64 (d) and string (s) arguments, messages and bundles
+ */
+
+function padded(buffer) {
+  const size = Math.ceil((buffer.length + 1) / 4) * 4;
+  const result = Buffer.alloc(size);
+  buffer.copy(result);
+  return result;
+}
+
+function encodeString(value) {
+  return padded(Buffer.from(String(value), "utf8"));
+}
+
+function encodeArgument(type, value) {
+  let buffer;
+  switch (type) {
+    case "i":
+      buffer = Buffer.alloc(4);
+      buffer.writeInt32BE(value | 0);
+      return buffer;
+    case "f":
+      buffer = Buffer.alloc(4);
+      buffer.writeFloatBE(value);
+      return buffer;
+    case "d":
+      buffer = Buffer.alloc(8);
+      buffer.writeDoubleBE(value);
+      return buffer;
+    case "s":
+      return encodeString(value);
+    default:
+      throw new Error(`Unsupported OSC type tag: ${type}`);
+  }
+}
+
+/**
+ * Encode an OSC message
+ * @param {string} address - OSC address pattern, starting with "/"
+ * @param {Array<{type: string, value: *}>} args
+ */
+function encodeMessage(address, args = []) {
+  const typeTags = "," + args.map(a => a.type).join("");
+  return Buffer.concat([
+    encodeString(address),
+    encodeString(typeTags),
+    ...args.map(a => encodeArgument(a.type, a.value))
+  ]);
+}
+
+/**
+ * Encode an OSC bundle with the "immediately" time tag
+ * @param {Buffer[]} elements - Encoded messages or bundles
+ */
+function encodeBundle(elements) {
+  const timeTag = Buffer.alloc(8);
+  timeTag.writeUInt32BE(0, 0);
+  timeTag.writeUInt32BE(1, 4);
+
+  const parts = [encodeString("#bundle"), timeTag];
+  for (const element of elements) {
+    const size = Buffer.alloc(4);
+    size.writeInt32BE(element.length);
+    parts.push(size, element);
+  }
+  return Buffer.concat(parts);
+}
+
+module.exports = { encodeMessage, encodeBundle };
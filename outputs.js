@@ -0,0 +1,191 @@
+/**
+ * Output destinations
+ * Encodes each pose for the protocol of every enabled destination and sends it over UDP
+ */
+
+const osc = require("./osc");
+const vmc = require("./vmc");
+
+const OSC_DEFAULTS = {
+  rotationAddress: "/head/rotation",
+  rotationFormat: "euler",        // "euler" (yaw, pitch, roll) or "quaternion" (x, y, z, w)
+  positionAddress: "/head/position",
+  valueType: "f"                  // "f" (float32) or "d" (float64)
+};
+
+// FaceTrackNoIR / opentrack "UDP over network": six little-endian float64
+function encodeFtnir(pose) {
+  const buffer = Buffer.alloc(48);
+
+  buffer.writeDoubleLE(pose.x, 0);
+  buffer.writeDoubleLE(pose.y, 8);
+  buffer.writeDoubleLE(pose.z, 16);
+  buffer.writeDoubleLE(pose.yaw, 24);
+  buffer.writeDoubleLE(pose.pitch, 32);
+  buffer.writeDoubleLE(pose.roll, 40);
+
+  return buffer;
+}
+
+// Position and orientation as seven little-endian float64: x, y, z, qw, qx, qy, qz
+function encodeQuaternion(pose) {
+  const q = pose.quaternion;
+  const buffer = Buffer.alloc(56);
+
+  [pose.x, pose.y, pose.z, q.w, q.x, q.y, q.z].forEach((value, i) => buffer.writeDoubleLE(value, i * 8));
+
+  return buffer;
+}
+
+// One OSC bundle holding the rotation message and, if it has an address, the position message.
+// Null if the rotation is sent as a quaternion and the pose has none.
+function encodeOsc(pose, options) {
+  const o = { ...OSC_DEFAULTS, ...options };
+  const arg = (value) => ({ type: o.valueType, value });
+  const messages = [];
+
+  if (o.rotationAddress) {
+    let values;
+    if (o.rotationFormat === "quaternion") {
+      const q = pose.quaternion;
+      if (!q) return null;
+      values = [q.x, q.y, q.z, q.w];
+    } else {
+      values = [pose.yaw, pose.pitch, pose.roll];
+    }
+    messages.push(osc.encodeMessage(o.rotationAddress, values.map(arg)));
+  }
+
+  if (o.positionAddress) {
+    messages.push(osc.encodeMessage(o.positionAddress, [pose.x, pose.y, pose.z].map(arg)));
+  }
+
+  return osc.encodeBundle(messages);
+}
+
+// Encoders return null when the pose lacks what the protocol needs
+const PROTOCOLS = {
+  ftnir: (pose) => encodeFtnir(pose),
+  osc: (pose, output) => encodeOsc(pose, output.osc),
+  vmc: (pose, output) => pose.quaternion ? vmc.encodePose(pose.quaternion, output.vmc) : null,
+  quaternion: (pose) => pose.quaternion ? encodeQuaternion(pose) : null
+};
+
+// Ports the receiving apps listen on by default, for destinations without a port
+const DEFAULT_PORTS = {
+  vmc: vmc.VMC_PORT
+};
+
+function isOscAddress(value) {
+  return value === "" || (typeof value === "string" && value.startsWith("/") && !/[\s#*,?[\]{}]/.test(value));
+}
+
+/**
+ * Why a destination cannot be sent to
+ * @returns {{field: string, message: string}|null} The offending field and the reason, or null if it is valid
+ */
+function outputError(o) {
+  if (o.host.length === 0) {
+    return { field: "host", message: "Host is empty" };
+  }
+  if (!Number.isInteger(o.port) || o.port < 1 || o.port > 65535) {
+    return { field: "port", message: "Port must be a whole number from 1 to 65535" };
+  }
+  if (o.protocol === "osc") {
+    for (const field of ["rotationAddress", "positionAddress"]) {
+      if (!isOscAddress(o.osc[field])) {
+        return { field, message: "OSC addresses start with / and contain no spaces or # * , ? [ ] { }" };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Validate destinations coming from the renderer. Invalid entries are kept so
+ * the user can fix them, with the reason in error, and nothing is sent to them.
+ */
+function sanitizeOutputs(list) {
+  return list
+    .map(o => ({ ...o, protocol: PROTOCOLS[o.protocol] ? o.protocol : "ftnir" }))
+    .map(o => ({
+      host: String(o.host || "").trim(),
+      port: (o.port === undefined || o.port === null) && DEFAULT_PORTS[o.protocol] ? DEFAULT_PORTS[o.protocol] : Number(o.port),
+      enabled: o.enabled !== false,
+      protocol: o.protocol,
+      source: typeof o.source === "string" && o.source.length > 0 ? o.source : null,
+      osc: {
+        ...OSC_DEFAULTS,
+        ...o.osc
+      },
+      vmc: {
+        neckShare: Math.min(1, Math.max(0, Number(o.vmc?.neckShare ?? vmc.VMC_DEFAULTS.neckShare) || 0))
+      }
+    }))
+    .map(o => {
+      const error = outputError(o);
+      if (error) console.warn(`Not sending to invalid output destination (${error.message}):`, o);
+      return { ...o, error };
+    });
+}
+
+function sendPacket(udp, packet, output) {
+  const warn = (err) => console.warn(`UDP send to ${output.host}:${output.port} failed:`, err.message);
+  // Bad arguments throw synchronously, network errors arrive in the callback
+  try {
+    udp.send(packet, 0, packet.length, output.port, output.host, (err) => {
+      if (err) warn(err);
+    });
+  } catch (e) {
+    warn(e);
+  }
+}
+
+/**
+ * Whether a destination takes poses from the pose's headset. Destinations
+ * without a source take the first headset.
+ */
+function outputMatchesSource(output, pose) {
+  return output.source ? output.source === pose.source : pose.primary !== false;
+}
+
+/**
+ * Send a pose to every enabled and valid destination of its headset
+ * @param {dgram.Socket} udp
+ * @param {{x, y, z, yaw, pitch, roll, quaternion?, source?, primary?}} pose - quaternion is the orientation
+ *   matching yaw, pitch and roll; source is the headset ID (VitureHID.headsetId), primary is true for the first headset
+ * @param {Array} outputs
+ * @returns {number} Number of packets sent
+ */
+function sendPose(udp, pose, outputs) {
+  let sent = 0;
+  for (const output of outputs) {
+    if (!output.enabled || output.error || !outputMatchesSource(output, pose)) continue;
+
+    const encode = PROTOCOLS[output.protocol] || PROTOCOLS.ftnir;
+    const packet = encode(pose, output);
+
+    if (packet) {
+      sendPacket(udp, packet, output);
+      sent++;
+    }
+  }
+  return sent;
+}
+
+/**
+ * Send the periodic VMC status messages to every enabled and valid VMC destination
+ * @param {dgram.Socket} udp
+ * @param {Array} outputs
+ * @param {number} seconds - Time since the app started
+ * @param {boolean} tracking - Whether poses are currently arriving
+ */
+function sendVmcStatus(udp, outputs, seconds, tracking) {
+  const targets = outputs.filter(o => o.enabled && !o.error && o.protocol === "vmc");
+  if (targets.length === 0) return;
+
+  const packet = vmc.encodeStatus(seconds, tracking);
+  targets.forEach(output => sendPacket(udp, packet, output));
+}
+
+module.exports = { sendPose, sendVmcStatus, sanitizeOutputs, encodeFtnir, encodeQuaternion, encodeOsc, OSC_DEFAULTS };
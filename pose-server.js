@@ -0,0 +1,153 @@
+/**
+ * WebSocket pose server
+ * Streams every pose as JSON to local clients such as OBS browser sources and
+ * web dashboards, and accepts a few commands back.
+ *
+ * Messages to clients:
+ *   {type: "pose", timestamp, source, quaternion: {x, y, z, w}, euler: {yaw, pitch, roll}, position: {x, y, z}, device}
+ *   {type: "status", tracking, device, clients, uptime}
+ *   {type: "error", error}
+ *
+ * Commands from clients:
+ *   {type: "recenter"} - recenter the headset, emitted as "recenter"
+ *   {type: "status"}   - reply with a status message
+ */
+
+const EventEmitter = require("events");
+const { WebSocketServer, WebSocket } = require("ws");
+
+// Skip poses for clients that cannot keep up instead of queueing them
+const MAX_BUFFERED_BYTES = 64 * 1024;
+const TRACKING_TIMEOUT_MS = 500;
+
+class PoseServer extends EventEmitter {
+  constructor() {
+    super();
+    this.config = { enabled: false, host: "127.0.0.1", port: 8765 };
+    this.device = null;
+    this.status = { listening: false, address: null, clients: 0, error: null };
+
+    this._server = null;
+    this._lastPoseTime = 0;
+  }
+
+  /**
+   * Start, restart or stop the server to match the settings
+   * @param {{enabled: boolean, host: string, port: number}} config
+   */
+  configure(config) {
+    const changed = this.config.enabled !== config.enabled ||
+      this.config.host !== config.host || this.config.port !== config.port;
+
+    this.config = { ...config };
+    if (!changed) return;
+
+    this.close();
+    if (config.enabled) this._listen();
+  }
+
+  close() {
+    if (this._server === null) return;
+
+    this._server.clients.forEach(client => client.terminate());
+    this._server.close();
+    this._server = null;
+    this._setStatus({ listening: false, address: null, clients: 0, error: null });
+  }
+
+  setDevice(device) {
+    this.device = device || null;
+  }
+
+  /**
+   * Send a pose to every connected client
+   * @param {{x, y, z, yaw, pitch, roll, quaternion?, source?, primary?}} pose
+   */
+  broadcast(pose) {
+    this._lastPoseTime = Date.now();
+    if (this._server === null || this._server.clients.size === 0) return;
+
+    const message = JSON.stringify({
+      type: "pose",
+      timestamp: this._lastPoseTime,
+      source: pose.source || null,
+      quaternion: pose.quaternion || null,
+      euler: { yaw: pose.yaw, pitch: pose.pitch, roll: pose.roll },
+      position: { x: pose.x, y: pose.y, z: pose.z },
+      // Device info is only known for the first headset
+      device: pose.primary === false ? null : this.device
+    });
+
+    this._server.clients.forEach(client => {
+      if (client.readyState === WebSocket.OPEN && client.bufferedAmount < MAX_BUFFERED_BYTES) {
+        client.send(message);
+      }
+    });
+  }
+
+  _listen() {
+    const { host, port } = this.config;
+
+    if (!Number.isInteger(port) || port <= 0 || port >= 65536) {
+      this._setStatus({ listening: false, address: null, clients: 0, error: `Invalid port: ${port}` });
+      return;
+    }
+
+    const server = new WebSocketServer({ host, port });
+    this._server = server;
+
+    server.on("listening", () => {
+      this._setStatus({ listening: true, address: `ws://${host}:${port}`, clients: 0, error: null });
+    });
+
+    server.on("error", (err) => {
+      console.warn("WebSocket server error:", err.message);
+      if (this._server === server) this._server = null;
+      server.close();
+      this._setStatus({ listening: false, address: null, clients: 0, error: err.message });
+    });
+
+    server.on("connection", (socket) => {
+      this._setStatus({ clients: server.clients.size });
+      socket.on("message", (data) => this._handleCommand(socket, data));
+      socket.on("close", () => {
+        if (this._server === server) this._setStatus({ clients: server.clients.size });
+      });
+      socket.on("error", (err) => console.warn("WebSocket client error:", err.message));
+    });
+  }
+
+  _handleCommand(socket, data) {
+    let command;
+    try {
+      command = JSON.parse(data.toString());
+    } catch (e) {
+      socket.send(JSON.stringify({ type: "error", error: "Commands must be JSON" }));
+      return;
+    }
+
+    switch (command && command.type) {
+      case "recenter":
+        this.emit("recenter");
+        break;
+      case "status":
+        socket.send(JSON.stringify({
+          type: "status",
+          tracking: Date.now() - this._lastPoseTime < TRACKING_TIMEOUT_MS,
+          device: this.device,
+          clients: this.status.clients,
+          uptime: process.uptime()
+        }));
+        break;
+      default:
+        socket.send(JSON.stringify({ type: "error", error: `Unknown command: ${command && command.type}` }));
+    }
+  }
+
+  _setStatus(patch) {
+    this.status = { ...this.status, ...patch };
+    this.emit("status", this.status);
+  }
+}
+
+module.exports = { PoseServer };
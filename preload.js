@@ -3,5 +3,21 @@ const { contextBridge, ipcRenderer } = require('electron/renderer')
 contextBridge.exposeInMainWorld('electronAPI', {
   sendTrackingData: (data) => ipcRenderer.send('send-tracking-data', data),
   onHidDeviceList: (callback) => ipcRenderer.on('hid-device-list', (_event, value) => callback(value)),
+  onHidDeviceListClosed: (callback) => ipcRenderer.on('hid-device-list-closed', () => callback()),
   sendDeviceSelection: (data) => ipcRenderer.send('send-device-selection', data),
+  sendDeviceInfo: (data) => ipcRenderer.send('send-device-info', data),
+  getSettings: () => ipcRenderer.invoke('get-settings'),
+  setSettings: (patch) => ipcRenderer.invoke('set-settings', patch),
+  saveRecording: (text, headsetId) => ipcRenderer.invoke('save-recording', text, headsetId),
+  openRecording: () => ipcRenderer.invoke('open-recording'),
+  recenter: () => ipcRenderer.send('recenter'),
+  onRecenterRequest: (callback) => ipcRenderer.on('recenter-request', () => callback()),
+  getRecenterHotkey: () => ipcRenderer.invoke('get-recenter-hotkey'),
+  onRecenterHotkeyStatus: (callback) => ipcRenderer.on('recenter-hotkey-status', (_event, value) => callback(value)),
+  getPoseServerStatus: () => ipcRenderer.invoke('get-pose-server-status'),
+  getUdpStats: () => ipcRenderer.invoke('get-udp-stats'),
+  getLaunchOptions: () => ipcRenderer.invoke('get-launch-options'),
+  getHeadsetSerials: () => ipcRenderer.invoke('get-headset-serials'),
+  onPoseServerStatus: (callback) => ipcRenderer.on('pose-server-status', (_event, value) => callback(value)),
+  onSettingsChanged: (callback) => ipcRenderer.on('settings-changed', (_event, value) => callback(value)),
 })
\ No newline at end of file
@@ -0,0 +1,145 @@
+/**
+ * Per-axis response mapping
+ * Sensitivity, deadzone, response curve, inversion and limits for each output axis
+ */
+
+const POSE_AXES = ['yaw', 'pitch', 'roll', 'x', 'y', 'z'];
+
+/**
+ * Monotone cubic spline (Fritsch-Carlson) through [input, output] points.
+ * Points cover the positive half of the axis, negative inputs are mirrored.
+ * Beyond the last point the curve continues with the slope of the last segment.
+ */
+class ResponseCurve {
+  constructor(points) {
+    this.setPoints(points);
+  }
+
+  setPoints(points) {
+    const sorted = (points && points.length > 0 ? points : [[0, 0], [1, 1]])
+      .map(([x, y]) => [Number(x), Number(y)])
+      .sort((a, b) => a[0] - b[0]);
+
+    // Always anchor the curve at the origin
+    if (sorted[0][0] > 0) sorted.unshift([0, 0]);
+    if (sorted.length === 1) sorted.push([sorted[0][0] + 1, sorted[0][1] + 1]);
+
+    this.xs = sorted.map(p => p[0]);
+    this.ys = sorted.map(p => p[1]);
+    this.tangents = this._computeTangents();
+  }
+
+  _computeTangents() {
+    const { xs, ys } = this;
+    const n = xs.length;
+    const slopes = [];
+    for (let i = 0; i < n - 1; i++) {
+      const dx = xs[i + 1] - xs[i];
+      slopes.push(dx > 0 ? (ys[i + 1] - ys[i]) / dx : 0);
+    }
+
+    const tangents = new Array(n);
+    tangents[0] = slopes[0];
+    tangents[n - 1] = slopes[n - 2];
+    for (let i = 1; i < n - 1; i++) {
+      tangents[i] = slopes[i - 1] * slopes[i] <= 0 ? 0 : (slopes[i - 1] + slopes[i]) / 2;
+    }
+
+    // Limit tangents so the spline never overshoots between points
+    for (let i = 0; i < n - 1; i++) {
+      if (slopes[i] === 0) {
+        tangents[i] = 0;
+        tangents[i + 1] = 0;
+        continue;
+      }
+      const a = tangents[i] / slopes[i];
+      const b = tangents[i + 1] / slopes[i];
+      const h = a * a + b * b;
+      if (h > 9) {
+        const t = 3 / Math.sqrt(h);
+        tangents[i] = t * a * slopes[i];
+        tangents[i + 1] = t * b * slopes[i];
+      }
+    }
+
+    return tangents;
+  }
+
+  evaluate(value) {
+    const sign = value < 0 ? -1 : 1;
+    const x = Math.abs(value);
+    const { xs, ys, tangents } = this;
+    const last = xs.length - 1;
+
+    if (x >= xs[last]) {
+      const slope = (ys[last] - ys[last - 1]) / ((xs[last] - xs[last - 1]) || 1);
+      return sign * (ys[last] + (x - xs[last]) * slope);
+    }
+
+    let i = 0;
+    while (i < last - 1 && x > xs[i + 1]) i++;
+
+    const h = xs[i + 1] - xs[i];
+    if (h <= 0) return sign * ys[i];
+
+    const t = (x - xs[i]) / h;
+    const t2 = t * t;
+    const t3 = t2 * t;
+
+    const y = (2 * t3 - 3 * t2 + 1) * ys[i] +
+      (t3 - 2 * t2 + t) * h * tangents[i] +
+      (-2 * t3 + 3 * t2) * ys[i + 1] +
+      (t3 - t2) * h * tangents[i + 1];
+
+    return sign * y;
+  }
+}
+
+/**
+ * Applies the configured mapping to each axis of a pose
+ * Per axis, in order: deadzone, curve, multiplier, inversion, clamping
+ */
+class AxisMapper {
+  constructor(config = {}) {
+    this.curves = {};
+    this.configure(config);
+  }
+
+  configure(config) {
+    this.config = config;
+    for (const axis of POSE_AXES) {
+      if (config[axis]) this.curves[axis] = new ResponseCurve(config[axis].curve);
+    }
+  }
+
+  mapAxis(axis, value) {
+    const c = this.config[axis];
+    if (!c || typeof value !== 'number' || isNaN(value)) return value;
+
+    let v = value;
+
+    if (c.deadzone > 0) {
+      const magnitude = Math.abs(v) - c.deadzone;
+      v = magnitude <= 0 ? 0 : Math.sign(v) * magnitude;
+    }
+
+    v = this.curves[axis].evaluate(v);
+    v *= c.multiplier ?? 1;
+    if (c.invert && v !== 0) v = -v;
+
+    return Math.min(c.max ?? Infinity, Math.max(c.min ?? -Infinity, v));
+  }
+
+  map(pose) {
+    const result = { ...pose };
+    for (const axis of POSE_AXES) {
+      if (axis in pose) result[axis] = this.mapAxis(axis, pose[axis]);
+    }
+    return result;
+  }
+}
+
+// Make available globally in page context
+window.POSE_AXES = POSE_AXES;
+window.ResponseCurve = ResponseCurve;
+window.AxisMapper = AxisMapper;
@@ -0,0 +1,220 @@
+/**
+ * Curve Editor
+ * Canvas widget for editing a ResponseCurve with a live input marker
+ *
+ * - Drag a point to move it
+ * - Click on empty space to add a point
+ * - Double-click a point to remove it (the point at the origin stays)
+ */
+
+class CurveEditor {
+  constructor(canvas, { range = 180, onChange = null } = {}) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    this.range = range;
+    this.points = [[0, 0], [range, range]];
+    this.curve = new ResponseCurve(this.points);
+    this.onChange = onChange;
+    this.marker = null;
+
+    this._dragIndex = -1;
+    this._drawPending = false;
+    this._margin = 24;
+
+    canvas.addEventListener('mousedown', (e) => this._onMouseDown(e));
+    canvas.addEventListener('dblclick', (e) => this._onDoubleClick(e));
+    window.addEventListener('mousemove', (e) => this._onMouseMove(e));
+    window.addEventListener('mouseup', () => this._onMouseUp());
+
+    this.draw();
+  }
+
+  setCurve(points, range) {
+    if (this._dragIndex !== -1) return;
+
+    this.range = range;
+    this.points = points.map(p => [p[0], p[1]]);
+    this.curve.setPoints(this.points);
+    this.requestDraw();
+  }
+
+  /**
+   * Show the current input on the curve, or hide the marker with null
+   */
+  setMarker(input) {
+    this.marker = input;
+    this.requestDraw();
+  }
+
+  requestDraw() {
+    if (this._drawPending) return;
+    this._drawPending = true;
+    requestAnimationFrame(() => {
+      this._drawPending = false;
+      this.draw();
+    });
+  }
+
+  _toCanvas(x, y) {
+    const m = this._margin;
+    const w = this.canvas.width - m * 2;
+    const h = this.canvas.height - m * 2;
+    return [m + (x / this.range) * w, this.canvas.height - m - (y / this.range) * h];
+  }
+
+  _fromCanvas(cx, cy) {
+    const m = this._margin;
+    const w = this.canvas.width - m * 2;
+    const h = this.canvas.height - m * 2;
+    const x = ((cx - m) / w) * this.range;
+    const y = ((this.canvas.height - m - cy) / h) * this.range;
+    return [Math.min(this.range, Math.max(0, x)), Math.min(this.range, Math.max(0, y))];
+  }
+
+  _eventPosition(e) {
+    const rect = this.canvas.getBoundingClientRect();
+    return [
+      (e.clientX - rect.left) * (this.canvas.width / rect.width),
+      (e.clientY - rect.top) * (this.canvas.height / rect.height)
+    ];
+  }
+
+  _hitTest(cx, cy) {
+    return this.points.findIndex(([x, y]) => {
+      const [px, py] = this._toCanvas(x, y);
+      return Math.hypot(px - cx, py - cy) <= 6;
+    });
+  }
+
+  _onMouseDown(e) {
+    const [cx, cy] = this._eventPosition(e);
+    const hit = this._hitTest(cx, cy);
+
+    if (hit !== -1) {
+      this._dragIndex = hit;
+      return;
+    }
+
+    const [x, y] = this._fromCanvas(cx, cy);
+    this.points.push([x, y]);
+    this.points.sort((a, b) => a[0] - b[0]);
+    this._dragIndex = this.points.findIndex(p => p[0] === x && p[1] === y);
+    this._update();
+  }
+
+  _onMouseMove(e) {
+    if (this._dragIndex === -1) return;
+
+    const i = this._dragIndex;
+    const [cx, cy] = this._eventPosition(e);
+    let [x, y] = this._fromCanvas(cx, cy);
+
+    // The first point stays on the vertical axis, the others keep their order
+    if (i === 0) {
+      x = 0;
+    } else {
+      const minX = this.points[i - 1][0] + this.range / 1000;
+      const maxX = i < this.points.length - 1 ? this.points[i + 1][0] - this.range / 1000 : this.range;
+      x = Math.min(maxX, Math.max(minX, x));
+    }
+
+    this.points[i] = [x, y];
+    this._update(false);
+  }
+
+  _onMouseUp() {
+    if (this._dragIndex === -1) return;
+    this._dragIndex = -1;
+    this._update();
+  }
+
+  _onDoubleClick(e) {
+    const [cx, cy] = this._eventPosition(e);
+    const hit = this._hitTest(cx, cy);
+    if (hit <= 0 || this.points.length <= 2) return;
+
+    this.points.splice(hit, 1);
+    this._update();
+  }
+
+  _update(notify = true) {
+    this.curve.setPoints(this.points);
+    this.requestDraw();
+    if (notify && this.onChange) {
+      this.onChange(this.points.map(([x, y]) => [Math.round(x * 100) / 100, Math.round(y * 100) / 100]));
+    }
+  }
+
+  draw() {
+    const { ctx, canvas } = this;
+    const m = this._margin;
+
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+    // Grid
+    ctx.strokeStyle = '#ddd';
+    ctx.lineWidth = 1;
+    for (let i = 0; i <= 4; i++) {
+      const [gx] = this._toCanvas(this.range * i / 4, 0);
+      const [, gy] = this._toCanvas(0, this.range * i / 4);
+      ctx.beginPath();
+      ctx.moveTo(gx, m);
+      ctx.lineTo(gx, canvas.height - m);
+      ctx.moveTo(m, gy);
+      ctx.lineTo(canvas.width - m, gy);
+      ctx.stroke();
+    }
+
+    ctx.fillStyle = '#666';
+    ctx.font = '10px sans-serif';
+    ctx.fillText('0', m - 10, canvas.height - m + 12);
+    ctx.fillText(String(this.range), canvas.width - m - 10, canvas.height - m + 12);
+    ctx.fillText(String(this.range), 2, m + 4);
+
+    // Identity reference
+    ctx.strokeStyle = '#bbb';
+    ctx.setLineDash([4, 4]);
+    ctx.beginPath();
+    ctx.moveTo(...this._toCanvas(0, 0));
+    ctx.lineTo(...this._toCanvas(this.range, this.range));
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    // Curve
+    ctx.strokeStyle = '#1a73e8';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    const steps = 100;
+    for (let i = 0; i <= steps; i++) {
+      const x = this.range * i / steps;
+      const y = Math.min(this.range, Math.max(0, this.curve.evaluate(x)));
+      const [px, py] = this._toCanvas(x, y);
+      if (i === 0) ctx.moveTo(px, py);
+      else ctx.lineTo(px, py);
+    }
+    ctx.stroke();
+
+    // Points
+    ctx.fillStyle = '#1a73e8';
+    for (const [x, y] of this.points) {
+      const [px, py] = this._toCanvas(x, y);
+      ctx.beginPath();
+      ctx.arc(px, py, 4, 0, Math.PI * 2);
+      ctx.fill();
+    }
+
+    // Live input
+    if (this.marker !== null && !isNaN(this.marker)) {
+      const x = Math.min(this.range, Math.abs(this.marker));
+      const y = Math.min(this.range, Math.max(0, this.curve.evaluate(x)));
+      const [px, py] = this._toCanvas(x, y);
+      ctx.fillStyle = '#e8453c';
+      ctx.beginPath();
+      ctx.arc(px, py, 5, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  }
+}
+
+// Make available globally in page context
+window.CurveEditor = CurveEditor;
@@ -0,0 +1,91 @@
+/**
+ * Yaw Drift Corrector
+ * Learns the slow yaw bias of the glasses while the head is at rest and
+ * subtracts it continuously. Works on sample timestamps only, so a replayed
+ * recording gives the same result at any playback speed.
+ */
+
+// Time constant of the angular rate estimate used for rest detection
+const DRIFT_RATE_SMOOTHING_S = 0.25;
+
+class YawDriftCorrector {
+  constructor(config) {
+    this.configure(config);
+    this.reset();
+  }
+
+  /**
+   * @param {object} config
+   * @param {number} config.restThreshold - Angular speed (°/s) below which the head counts as still
+   * @param {number} config.restTime - Seconds the head must be still before the bias is learned
+   * @param {number} config.timeConstant - Seconds over which the bias estimate settles
+   * @param {number} config.maxRate - Largest bias (°/min) accepted as drift
+   */
+  configure(config) {
+    this.config = config;
+  }
+
+  reset() {
+    this.biasRate = 0;        // °/s
+    this.correction = 0;      // ° subtracted from yaw
+    this.atRest = false;
+    this._restDuration = 0;
+    this._rates = null;
+    this._last = null;
+    this._lastTimestamp = null;
+  }
+
+  /**
+   * Forget the accumulated correction but keep the learned bias (after a recenter)
+   */
+  resetCorrection() {
+    this.correction = 0;
+  }
+
+  get driftRatePerMinute() {
+    return this.biasRate * 60;
+  }
+
+  update(rotation, timestamp) {
+    const dt = this._lastTimestamp === null ? 0 : (timestamp - this._lastTimestamp) / 1000;
+    this._lastTimestamp = timestamp;
+
+    if (this._last === null || dt <= 0 || dt > 1) {
+      this._last = { ...rotation };
+      this._rates = null;
+      this._restDuration = 0;
+      this.atRest = false;
+      return this._correct(rotation);
+    }
+
+    // Smoothed angular rate per axis
+    const alpha = dt / (DRIFT_RATE_SMOOTHING_S + dt);
+    const rates = {};
+    for (const axis of ['yaw', 'pitch', 'roll']) {
+      const rate = PoseMath.wrapAngle(rotation[axis] - this._last[axis]) / dt;
+      rates[axis] = this._rates === null ? rate : this._rates[axis] + alpha * (rate - this._rates[axis]);
+    }
+    this._rates = rates;
+    this._last = { ...rotation };
+
+    const speed = Math.max(Math.abs(rates.yaw), Math.abs(rates.pitch), Math.abs(rates.roll));
+    this._restDuration = speed < this.config.restThreshold ? this._restDuration + dt : 0;
+    this.atRest = this._restDuration >= this.config.restTime;
+
+    if (this.atRest) {
+      const maxRate = this.config.maxRate / 60;
+      const observed = Math.min(maxRate, Math.max(-maxRate, rates.yaw));
+      this.biasRate += (dt / (this.config.timeConstant + dt)) * (observed - this.biasRate);
+    }
+
+    this.correction += this.biasRate * dt;
+    return this._correct(rotation);
+  }
+
+  _correct(rotation) {
+    return { ...rotation, yaw: PoseMath.wrapAngle(rotation.yaw - this.correction) };
+  }
+}
+
+// Make available globally in page context
+window.YawDriftCorrector = YawDriftCorrector;
@@ -0,0 +1,128 @@
+/**
+ * Head Preview
+ * Canvas 2D wireframe of a head wearing glasses, turned by an orientation
+ * quaternion in the WebXR frame (x right, y up, z backwards)
+ *
+ * The camera sits behind and slightly above the head, so turning your head
+ * left turns the model left. Lines on the far side of the head are drawn faint.
+ */
+
+// Seen from behind, looking down this many degrees
+const HEAD_PREVIEW_VIEW_PITCH = 20;
+// Camera distance in head radii, smaller exaggerates the perspective
+const HEAD_PREVIEW_CAMERA_DISTANCE = 5;
+
+function headPreviewRing(points, fn) {
+  const ring = [];
+  for (let i = 0; i <= points; i++) ring.push(fn(2 * Math.PI * i / points));
+  return ring;
+}
+
+// Polylines in head radii; the face looks along -z
+const HEAD_PREVIEW_MODEL = (() => {
+  const sx = 0.8, sy = 1, sz = 0.9;   // Slightly narrow and deep, like a skull
+  const shell = [
+    headPreviewRing(32, a => ({ x: sx * Math.cos(a), y: 0, z: sz * Math.sin(a) })),
+    headPreviewRing(32, a => ({ x: 0, y: sy * Math.cos(a), z: sz * Math.sin(a) })),
+    headPreviewRing(32, a => ({ x: sx * Math.cos(a), y: sy * Math.sin(a), z: 0 })),
+    headPreviewRing(32, a => ({ x: 0.7 * sx * Math.cos(a), y: 0.7 * sy, z: 0.7 * sz * Math.sin(a) }))
+  ].map(points => ({ points, color: '#888' }));
+
+  const lens = (x0, x1) => [
+    { x: x0, y: 0.3, z: -0.95 }, { x: x1, y: 0.3, z: -0.95 },
+    { x: x1, y: 0.05, z: -0.95 }, { x: x0, y: 0.05, z: -0.95 }, { x: x0, y: 0.3, z: -0.95 }
+  ];
+  const glasses = [
+    lens(0.1, 0.6),
+    lens(-0.6, -0.1),
+    [{ x: -0.1, y: 0.25, z: -0.95 }, { x: 0.1, y: 0.25, z: -0.95 }],
+    [{ x: 0.6, y: 0.25, z: -0.95 }, { x: 0.75, y: 0.25, z: 0 }],
+    [{ x: -0.6, y: 0.25, z: -0.95 }, { x: -0.75, y: 0.25, z: 0 }]
+  ].map(points => ({ points, color: '#222' }));
+
+  const nose = {
+    points: [{ x: 0, y: 0.05, z: -0.9 }, { x: 0, y: -0.3, z: -1.1 }, { x: 0, y: -0.35, z: -0.85 }],
+    color: '#888'
+  };
+  const forward = { points: [{ x: 0, y: 0, z: -1 }, { x: 0, y: 0, z: -1.6 }], color: '#e8453c' };
+
+  return [...shell, ...glasses, nose, forward];
+})();
+
+class HeadPreview {
+  /**
+   * @param {HTMLCanvasElement} canvas
+   * @param {object} options
+   * @param {string} options.label - Drawn in the top left corner
+   */
+  constructor(canvas, { label = '' } = {}) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    this.label = label;
+    this.quaternion = { w: 1, x: 0, y: 0, z: 0 };
+
+    const half = HEAD_PREVIEW_VIEW_PITCH * Math.PI / 360;
+    this._view = { w: Math.cos(half), x: Math.sin(half), y: 0, z: 0 };
+    this._drawPending = false;
+
+    this.draw();
+  }
+
+  setOrientation(quaternion) {
+    this.quaternion = PoseMath.quatNormalize(quaternion);
+    this.requestDraw();
+  }
+
+  requestDraw() {
+    if (this._drawPending) return;
+    this._drawPending = true;
+    requestAnimationFrame(() => {
+      this._drawPending = false;
+      this.draw();
+    });
+  }
+
+  // Perspective projection; z is kept so lines behind the head can be faded
+  _project(point) {
+    const p = PoseMath.rotateVector(this._view, PoseMath.rotateVector(this.quaternion, point));
+    const d = HEAD_PREVIEW_CAMERA_DISTANCE;
+    const scale = 0.3 * Math.min(this.canvas.width, this.canvas.height) * d / (d - p.z);
+    return {
+      x: this.canvas.width / 2 + p.x * scale,
+      y: this.canvas.height / 2 - p.y * scale,
+      z: p.z
+    };
+  }
+
+  draw() {
+    const { ctx, canvas } = this;
+
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.lineWidth = 1.5;
+
+    // Far lines first so the near ones are drawn over them
+    for (const faint of [true, false]) {
+      ctx.globalAlpha = faint ? 0.25 : 1;
+      for (const { points, color } of HEAD_PREVIEW_MODEL) {
+        const projected = points.map(point => this._project(point));
+        ctx.strokeStyle = color;
+        ctx.beginPath();
+        for (let i = 1; i < projected.length; i++) {
+          const a = projected[i - 1], b = projected[i];
+          if ((a.z + b.z < 0) !== faint) continue;
+          ctx.moveTo(a.x, a.y);
+          ctx.lineTo(b.x, b.y);
+        }
+        ctx.stroke();
+      }
+    }
+    ctx.globalAlpha = 1;
+
+    ctx.fillStyle = '#666';
+    ctx.font = '12px sans-serif';
+    ctx.fillText(this.label, 6, 16);
+  }
+}
+
+// Make available globally in page context
+window.HeadPreview = HeadPreview;
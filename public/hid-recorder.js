@@ -0,0 +1,193 @@
+/**
+ * Viture HID Recorder
+ * Captures raw input reports to a file and plays them back through VitureHID
+ *
+ * File format (JSON lines):
+ * - Line 1: header { format, version, recordedAt, devices }
+ * - Other lines: one report each { t: ms since recording start, d: device index, data: hex bytes }
+ */
+
+const RECORDING_FORMAT = 'viture-hid-recording';
+const RECORDING_VERSION = 1;
+
+function bytesToHex(bytes) {
+  let hex = '';
+  for (let i = 0; i < bytes.length; i++) {
+    hex += bytes[i].toString(16).padStart(2, '0');
+  }
+  return hex;
+}
+
+function hexToBytes(hex) {
+  const bytes = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+  }
+  return bytes;
+}
+
+class VitureHIDRecorder {
+  constructor(viture) {
+    this.viture = viture;
+    this.recording = false;
+    this._lines = [];
+    this._startTime = null;
+    this._unsubscribe = null;
+  }
+
+  get reportCount() {
+    return this._lines.length;
+  }
+
+  start() {
+    if (this.recording) return;
+
+    this._lines = [];
+    this._startTime = null;
+    this.recording = true;
+
+    this._unsubscribe = this.viture.onInputReport((bytes, deviceIndex, timestamp) => {
+      if (this._startTime === null) this._startTime = timestamp;
+
+      this._lines.push(JSON.stringify({
+        t: Math.round((timestamp - this._startTime) * 1000) / 1000,
+        d: deviceIndex,
+        data: bytesToHex(bytes)
+      }));
+    });
+
+    console.log('Viture: Recording started');
+  }
+
+  /**
+   * Stop recording and return the file contents
+   */
+  stop() {
+    if (!this.recording) return null;
+
+    this._unsubscribe();
+    this._unsubscribe = null;
+    this.recording = false;
+
+    const devices = (this.viture._allDevices || []).map((device, index) => ({
+      index,
+      vendorId: device.vendorId,
+      productId: device.productId,
+      productName: device.productName
+    }));
+
+    const header = JSON.stringify({
+      format: RECORDING_FORMAT,
+      version: RECORDING_VERSION,
+      recordedAt: new Date().toISOString(),
+      devices
+    });
+
+    console.log(`Viture: Recording stopped, ${this._lines.length} reports`);
+
+    const text = [header, ...this._lines].join('\n') + '\n';
+    this._lines = [];
+    return text;
+  }
+}
+
+class VitureHIDReplayer {
+  constructor(viture) {
+    this.viture = viture;
+    this.playing = false;
+    this._timer = null;
+    this._resolve = null;
+  }
+
+  /**
+   * Parse a recording file into its header and reports
+   */
+  static parse(text) {
+    const lines = text.split('\n').filter(line => line.trim().length > 0);
+    if (lines.length === 0) {
+      throw new Error('Recording is empty');
+    }
+
+    const header = JSON.parse(lines[0]);
+    if (header.format !== RECORDING_FORMAT) {
+      throw new Error('Not a Viture HID recording');
+    }
+    if (header.version > RECORDING_VERSION) {
+      throw new Error(`Unsupported recording version ${header.version}`);
+    }
+
+    const reports = lines.slice(1).map(line => {
+      const report = JSON.parse(line);
+      return { t: report.t, d: report.d, bytes: hexToBytes(report.data) };
+    });
+
+    return { header, reports };
+  }
+
+  /**
+   * Feed reports into VitureHID._handleInputReport with their original spacing
+   * divided by speed. speed = Infinity plays as fast as possible.
+   * Reports keep their recorded timestamps regardless of speed.
+   * Resolves when playback finishes or is stopped.
+   */
+  play(reports, { speed = 1, onProgress = null } = {}) {
+    this.stop();
+
+    if (reports.length === 0) return Promise.resolve();
+
+    this.playing = true;
+    const startWall = performance.now();
+    const startT = reports[0].t;
+    let next = 0;
+
+    return new Promise(resolve => {
+      this._resolve = resolve;
+
+      const tick = () => {
+        if (!this.playing) return;
+
+        const elapsed = (performance.now() - startWall) * speed;
+        const batchEnd = speed === Infinity ? next + 200 : reports.length;
+
+        while (next < reports.length && next < batchEnd && reports[next].t - startT <= elapsed) {
+          const report = reports[next++];
+          this.viture._handleInputReport({
+            data: new DataView(report.bytes.buffer),
+            timeStamp: report.t
+          }, report.d);
+        }
+
+        if (onProgress) onProgress(next, reports.length);
+
+        if (next >= reports.length) {
+          this._finish();
+          return;
+        }
+
+        const delay = speed === Infinity ? 0 : (reports[next].t - startT - elapsed) / speed;
+        this._timer = setTimeout(tick, Math.max(0, delay));
+      };
+
+      tick();
+    });
+  }
+
+  stop() {
+    if (!this.playing) return;
+    this._finish();
+  }
+
+  _finish() {
+    clearTimeout(this._timer);
+    this._timer = null;
+    this.playing = false;
+
+    const resolve = this._resolve;
+    this._resolve = null;
+    if (resolve) resolve();
+  }
+}
+
+// Make available globally in page context
+window.VitureHIDRecorder = VitureHIDRecorder;
+window.VitureHIDReplayer = VitureHIDReplayer;
@@ -0,0 +1,318 @@
+/**
+ * IMU Fusion
+ * Orientation from the raw gyroscope and accelerometer instead of the angles
+ * the glasses compute on-device. Without a magnetometer yaw is relative to
+ * the start and drifts slowly, like the on-device yaw.
+ *
+ * The filters use the usual Z-up frame of the reference implementations
+ * (x right, y forward, z up). ImuFusion converts from and to the WebXR head
+ * frame (x right, y up, z backwards).
+ */
+
+// Gaps longer than this restart the fusion from the accelerometer
+const FUSION_MAX_GAP_S = 1;
+
+// The raw sensor layout is only known from the simulator, so the samples are
+// checked before the fused orientation is used: the accelerometer has to read
+// about 1 g, and the gyroscope has to match how fast the device angles turn.
+const FUSION_CHECK_SAMPLES = 100;
+const FUSION_GRAVITY_TOLERANCE = 0.3;     // g
+const FUSION_GYRO_TOLERANCE = 0.3;        // Relative to the device rotation rate
+const FUSION_CHECK_MIN_RATE = 10;         // °/s, slower samples say little about the gyroscope
+const FUSION_CHECK_MAX_RATE = 1000;       // °/s, faster is a recenter, not a head movement
+
+/**
+ * Madgwick's gradient descent filter, IMU variant
+ */
+class MadgwickFilter {
+  /**
+   * @param {object} config
+   * @param {number} config.beta - Gyroscope error (rad/s); higher trusts the accelerometer more
+   */
+  constructor({ beta = 0.1 } = {}) {
+    this.beta = beta;
+    this.q = { w: 1, x: 0, y: 0, z: 0 };
+  }
+
+  /**
+   * @param {{x, y, z}} g - Angular velocity in rad/s
+   * @param {{x, y, z}} a - Acceleration, any unit
+   * @param {number} dt - Seconds since the previous sample
+   */
+  update(g, a, dt) {
+    const { w: q0, x: q1, y: q2, z: q3 } = this.q;
+
+    // Rate of change from the gyroscope
+    let qDot0 = 0.5 * (-q1 * g.x - q2 * g.y - q3 * g.z);
+    let qDot1 = 0.5 * (q0 * g.x + q2 * g.z - q3 * g.y);
+    let qDot2 = 0.5 * (q0 * g.y - q1 * g.z + q3 * g.x);
+    let qDot3 = 0.5 * (q0 * g.z + q1 * g.y - q2 * g.x);
+
+    const norm = Math.hypot(a.x, a.y, a.z);
+    if (norm > 0) {
+      const ax = a.x / norm, ay = a.y / norm, az = a.z / norm;
+
+      // Gradient of the error between measured and estimated gravity
+      let s0 = 4 * q0 * q2 * q2 + 2 * q2 * ax + 4 * q0 * q1 * q1 - 2 * q1 * ay;
+      let s1 = 4 * q1 * q3 * q3 - 2 * q3 * ax + 4 * q0 * q0 * q1 - 2 * q0 * ay - 4 * q1 +
+        8 * q1 * q1 * q1 + 8 * q1 * q2 * q2 + 4 * q1 * az;
+      let s2 = 4 * q0 * q0 * q2 + 2 * q0 * ax + 4 * q2 * q3 * q3 - 2 * q3 * ay - 4 * q2 +
+        8 * q2 * q1 * q1 + 8 * q2 * q2 * q2 + 4 * q2 * az;
+      let s3 = 4 * q1 * q1 * q3 - 2 * q1 * ax + 4 * q2 * q2 * q3 - 2 * q2 * ay;
+
+      const sNorm = Math.hypot(s0, s1, s2, s3);
+      if (sNorm > 0) {
+        qDot0 -= this.beta * s0 / sNorm;
+        qDot1 -= this.beta * s1 / sNorm;
+        qDot2 -= this.beta * s2 / sNorm;
+        qDot3 -= this.beta * s3 / sNorm;
+      }
+    }
+
+    this.q = PoseMath.quatNormalize({
+      w: q0 + qDot0 * dt,
+      x: q1 + qDot1 * dt,
+      y: q2 + qDot2 * dt,
+      z: q3 + qDot3 * dt
+    });
+    return this.q;
+  }
+}
+
+/**
+ * Mahony's complementary filter with proportional and integral feedback
+ */
+class MahonyFilter {
+  /**
+   * @param {object} config
+   * @param {number} config.kp - Proportional gain towards the accelerometer
+   * @param {number} config.ki - Integral gain, learns the gyroscope bias
+   */
+  constructor({ kp = 0.5, ki = 0 } = {}) {
+    this.kp = kp;
+    this.ki = ki;
+    this.q = { w: 1, x: 0, y: 0, z: 0 };
+    this._integral = { x: 0, y: 0, z: 0 };
+  }
+
+  update(g, a, dt) {
+    const { w: q0, x: q1, y: q2, z: q3 } = this.q;
+    let gx = g.x, gy = g.y, gz = g.z;
+
+    const norm = Math.hypot(a.x, a.y, a.z);
+    if (norm > 0) {
+      const ax = a.x / norm, ay = a.y / norm, az = a.z / norm;
+
+      // Half of the estimated gravity direction
+      const vx = q1 * q3 - q0 * q2;
+      const vy = q0 * q1 + q2 * q3;
+      const vz = q0 * q0 - 0.5 + q3 * q3;
+
+      // Error is the cross product of measured and estimated gravity
+      const ex = ay * vz - az * vy;
+      const ey = az * vx - ax * vz;
+      const ez = ax * vy - ay * vx;
+
+      if (this.ki > 0) {
+        this._integral.x += 2 * this.ki * ex * dt;
+        this._integral.y += 2 * this.ki * ey * dt;
+        this._integral.z += 2 * this.ki * ez * dt;
+        gx += this._integral.x;
+        gy += this._integral.y;
+        gz += this._integral.z;
+      }
+
+      gx += 2 * this.kp * ex;
+      gy += 2 * this.kp * ey;
+      gz += 2 * this.kp * ez;
+    }
+
+    const h = 0.5 * dt;
+    this.q = PoseMath.quatNormalize({
+      w: q0 + (-q1 * gx - q2 * gy - q3 * gz) * h,
+      x: q1 + (q0 * gx + q2 * gz - q3 * gy) * h,
+      y: q2 + (q0 * gy - q1 * gz + q3 * gx) * h,
+      z: q3 + (q0 * gz + q1 * gy - q2 * gx) * h
+    });
+    return this.q;
+  }
+}
+
+const FUSION_ALGORITHMS = {
+  madgwick: MadgwickFilter,
+  mahony: MahonyFilter
+};
+
+// Head frame (x right, y up, z backwards) to the Z-up filter frame (x right, y forward, z up)
+function toFilterFrame(v) {
+  return { x: v.x, y: -v.z, z: v.y };
+}
+
+function fromFilterFrame(q) {
+  return { w: q.w, x: q.x, y: q.z, z: -q.y };
+}
+
+/**
+ * Runs a fusion filter on VitureHID IMU samples
+ * Keeps its own recenter offset and compares its result with the device orientation.
+ */
+class ImuFusion {
+  /**
+   * @param {object} config
+   * @param {string} config.algorithm - 'madgwick' or 'mahony'
+   * @param {object} config.madgwick - MadgwickFilter options
+   * @param {object} config.mahony - MahonyFilter options
+   */
+  constructor(config) {
+    this.configure(config);
+    this.resetComparison();
+    this.resetSensorCheck();
+  }
+
+  configure(config) {
+    this.config = config;
+    this.reset();
+  }
+
+  reset() {
+    const FilterClass = FUSION_ALGORITHMS[this.config.algorithm] || MadgwickFilter;
+    this.filter = new FilterClass(this.config[this.config.algorithm] || {});
+    this.ready = false;
+    this.quaternion = { w: 1, x: 0, y: 0, z: 0 };
+    this.angularVelocity = { x: 0, y: 0, z: 0 };  // °/s in the head frame
+    this._offset = { w: 1, x: 0, y: 0, z: 0 };
+    this._raw = null;
+    this._lastTimestamp = null;
+  }
+
+  /**
+   * @param {{gyro: {x, y, z}, accel: {x, y, z}}} sample - Head frame, gyro in °/s
+   * @param {number} timestamp - Sample time in milliseconds
+   * @returns {{w, x, y, z}} Recentered orientation in the head frame
+   */
+  update(sample, timestamp) {
+    const dt = this._lastTimestamp === null ? 0 : (timestamp - this._lastTimestamp) / 1000;
+    this._lastTimestamp = timestamp;
+    this.angularVelocity = { ...sample.gyro };
+
+    if (this._check.accelCount < FUSION_CHECK_SAMPLES) {
+      this._check.accelSum += Math.hypot(sample.accel.x, sample.accel.y, sample.accel.z);
+      this._check.accelCount++;
+    }
+
+    const accel = toFilterFrame(sample.accel);
+
+    if (!this.ready || dt <= 0 || dt > FUSION_MAX_GAP_S) {
+      if (!this.ready || dt > FUSION_MAX_GAP_S) this._initFromGravity(accel);
+    } else {
+      const toRad = Math.PI / 180;
+      const gyro = toFilterFrame(sample.gyro);
+      this.filter.update({ x: gyro.x * toRad, y: gyro.y * toRad, z: gyro.z * toRad }, accel, dt);
+    }
+
+    this._raw = fromFilterFrame(this.filter.q);
+    this.quaternion = PoseMath.quatMultiply(PoseMath.quatConjugate(this._offset), this._raw);
+    return this.quaternion;
+  }
+
+  recenter() {
+    if (this._raw !== null) this._offset = { ...this._raw };
+    this.quaternion = { w: 1, x: 0, y: 0, z: 0 };
+  }
+
+  /**
+   * Accumulate the angle between the fused and the device orientation, and
+   * check the gyroscope against the rotation of the device orientation
+   * @param {{w, x, y, z}} deviceQuaternion - Recentered device orientation
+   * @param {number} timestamp - Sample time in milliseconds
+   */
+  compare(deviceQuaternion, timestamp) {
+    this._checkGyro(deviceQuaternion, timestamp);
+
+    const dot = Math.min(1, Math.abs(PoseMath.quatDot(
+      PoseMath.quatNormalize(deviceQuaternion), PoseMath.quatNormalize(this.quaternion))));
+    const angle = 2 * Math.acos(dot) * 180 / Math.PI;
+
+    this.comparison.last = angle;
+    this.comparison.count++;
+    this.comparison.sumSquares += angle * angle;
+    this.comparison.max = Math.max(this.comparison.max, angle);
+  }
+
+  resetComparison() {
+    this.comparison = { last: 0, count: 0, sumSquares: 0, max: 0 };
+  }
+
+  get rmsDifference() {
+    const c = this.comparison;
+    return c.count === 0 ? 0 : Math.sqrt(c.sumSquares / c.count);
+  }
+
+  resetSensorCheck() {
+    this._check = { accelSum: 0, accelCount: 0, gyroErrorSum: 0, gyroRateSum: 0, gyroCount: 0 };
+    this._lastDevice = null;
+  }
+
+  /**
+   * Whether the raw samples look like gyroscope and accelerometer data
+   * @returns {{status: string, gravity: number|null, gyroError: number|null}}
+   *   status is 'pending' until enough samples (moving ones for the gyroscope)
+   *   came in, then 'ok' or 'failed'. gravity is the mean accelerometer
+   *   magnitude in g, gyroError the gyroscope's error relative to the rotation
+   *   rate of the device angles.
+   */
+  get sensorCheck() {
+    const c = this._check;
+    const gravity = c.accelCount === 0 ? null : c.accelSum / c.accelCount;
+    const gyroError = c.gyroRateSum === 0 ? null : c.gyroErrorSum / c.gyroRateSum;
+
+    const gravityDone = c.accelCount >= FUSION_CHECK_SAMPLES;
+    const gyroDone = c.gyroCount >= FUSION_CHECK_SAMPLES;
+    const gravityOk = gravityDone && Math.abs(gravity - 1) <= FUSION_GRAVITY_TOLERANCE;
+    const gyroOk = gyroDone && gyroError <= FUSION_GYRO_TOLERANCE;
+
+    let status = 'pending';
+    if ((gravityDone && !gravityOk) || (gyroDone && !gyroOk)) status = 'failed';
+    else if (gravityOk && gyroOk) status = 'ok';
+    return { status, gravity, gyroError };
+  }
+
+  _checkGyro(deviceQuaternion, timestamp) {
+    const last = this._lastDevice;
+    this._lastDevice = { q: PoseMath.quatNormalize(deviceQuaternion), t: timestamp };
+    if (last === null || this._check.gyroCount >= FUSION_CHECK_SAMPLES) return;
+
+    const dt = (timestamp - last.t) / 1000;
+    if (dt <= 0 || dt > FUSION_MAX_GAP_S) return;
+
+    // Body rotation rate between the two device orientations, like a gyroscope measures it
+    let dq = PoseMath.quatMultiply(PoseMath.quatConjugate(last.q), this._lastDevice.q);
+    if (dq.w < 0) dq = { w: -dq.w, x: -dq.x, y: -dq.y, z: -dq.z };
+    const scale = 2 / dt * 180 / Math.PI;
+    const rate = { x: dq.x * scale, y: dq.y * scale, z: dq.z * scale };
+    const speed = Math.hypot(rate.x, rate.y, rate.z);
+    if (speed < FUSION_CHECK_MIN_RATE || speed > FUSION_CHECK_MAX_RATE) return;
+
+    const g = this.angularVelocity;
+    this._check.gyroErrorSum += Math.hypot(g.x - rate.x, g.y - rate.y, g.z - rate.z);
+    this._check.gyroRateSum += speed;
+    this._check.gyroCount++;
+  }
+
+  // Start level with the measured gravity and zero yaw instead of converging from identity
+  _initFromGravity(accel) {
+    const norm = Math.hypot(accel.x, accel.y, accel.z);
+    if (norm === 0) return;
+
+    // Shortest rotation taking the measured "up" to +Z
+    const a = { x: accel.x / norm, y: accel.y / norm, z: accel.z / norm };
+    const q = PoseMath.quatNormalize({ w: 1 + a.z, x: a.y, y: -a.x, z: 0 });
+    this.filter.q = a.z < -0.999999 ? { w: 0, x: 1, y: 0, z: 0 } : q;
+    this.ready = true;
+  }
+}
+
+// Make available globally in page context
+window.MadgwickFilter = MadgwickFilter;
+window.MahonyFilter = MahonyFilter;
+window.ImuFusion = ImuFusion;
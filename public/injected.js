@@ -65,7 +65,7 @@ window.connectViture = async function() {
 window.recenterViture = function() {
   const viture = window.VitureWebXR.getViture();
   if (viture && viture.connected) {
-    viture.recenter();
+    window.VitureWebXR.recenter();
     console.log('Viture recentered');
   } else {
     console.error('Viture not connected');
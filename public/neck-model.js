@@ -0,0 +1,49 @@
+/**
+ * Neck Model
+ * Synthesizes head translation from rotation. The head turns about a pivot at
+ * the base of the neck, so the eyes move when it tilts or turns, which gives
+ * games some parallax from a 3DoF headset.
+ *
+ * Positions are in centimeters in the WebXR frame: x right, y up, z backwards.
+ */
+
+class NeckModel {
+  /**
+   * @param {object} config
+   * @param {boolean} config.enabled
+   * @param {number} config.neckLength - Height of the eyes above the neck pivot (cm)
+   * @param {number} config.eyeOffset - Distance of the eyes in front of the neck pivot (cm)
+   */
+  constructor(config) {
+    this.configure(config);
+  }
+
+  configure(config) {
+    this.config = config;
+  }
+
+  get enabled() {
+    return this.config.enabled;
+  }
+
+  /**
+   * Eye displacement from the straight-ahead pose
+   * @param {{w, x, y, z}} quaternion - Head orientation in the WebXR frame
+   * @returns {{x: number, y: number, z: number}} Centimeters, zero while disabled
+   */
+  offset(quaternion) {
+    if (!this.config.enabled || !quaternion) return { x: 0, y: 0, z: 0 };
+
+    const eye = { x: 0, y: this.config.neckLength, z: -this.config.eyeOffset };
+    const rotated = PoseMath.rotateVector(PoseMath.quatNormalize(quaternion), eye);
+
+    return {
+      x: rotated.x - eye.x,
+      y: rotated.y - eye.y,
+      z: rotated.z - eye.z
+    };
+  }
+}
+
+// Make available globally in page context
+window.NeckModel = NeckModel;
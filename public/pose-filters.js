@@ -0,0 +1,225 @@
+/**
+ * Smoothing filters for the tracking stream
+ * Scalar filters take (value, dt in seconds), the pose and quaternion
+ * filters run one scalar filter per channel.
+ */
+
+// Gaps longer than this restart the filters instead of smoothing across them
+const FILTER_MAX_GAP_S = 1;
+
+class EmaFilter {
+  constructor({ alpha = 0.3 } = {}) {
+    this.alpha = alpha;
+    this.value = null;
+  }
+
+  filter(value) {
+    this.value = this.value === null ? value : this.value + this.alpha * (value - this.value);
+    return this.value;
+  }
+
+  reset() {
+    this.value = null;
+  }
+}
+
+/**
+ * One Euro filter (Casiez et al.): low cutoff at rest, rising with speed
+ */
+class OneEuroFilter {
+  constructor({ minCutoff = 1, beta = 0.05, dCutoff = 1 } = {}) {
+    this.minCutoff = minCutoff;
+    this.beta = beta;
+    this.dCutoff = dCutoff;
+    this.reset();
+  }
+
+  static _alpha(cutoff, dt) {
+    const tau = 1 / (2 * Math.PI * cutoff);
+    return 1 / (1 + tau / dt);
+  }
+
+  filter(value, dt) {
+    if (this.value === null || !(dt > 0)) {
+      this.value = value;
+      this.derivative = 0;
+      return value;
+    }
+
+    const rawDerivative = (value - this.value) / dt;
+    this.derivative += OneEuroFilter._alpha(this.dCutoff, dt) * (rawDerivative - this.derivative);
+
+    const cutoff = this.minCutoff + this.beta * Math.abs(this.derivative);
+    this.value += OneEuroFilter._alpha(cutoff, dt) * (value - this.value);
+    return this.value;
+  }
+
+  reset() {
+    this.value = null;
+    this.derivative = 0;
+  }
+}
+
+/**
+ * Kalman filter with a constant-velocity model
+ * processNoise: acceleration variance, measurementNoise: sensor variance
+ */
+class KalmanFilter {
+  constructor({ processNoise = 10000, measurementNoise = 0.25 } = {}) {
+    this.q = processNoise;
+    this.r = measurementNoise;
+    this.reset();
+  }
+
+  filter(value, dt) {
+    if (this.x === null) {
+      this.x = value;
+      this.v = 0;
+      this.p = [[this.r, 0], [0, this.r]];
+      return value;
+    }
+
+    if (dt > 0) {
+      // Predict
+      this.x += this.v * dt;
+      const [[p00, p01], [p10, p11]] = this.p;
+      const dt2 = dt * dt;
+      this.p = [
+        [p00 + dt * (p10 + p01) + dt2 * p11 + this.q * dt2 * dt2 / 4, p01 + dt * p11 + this.q * dt2 * dt / 2],
+        [p10 + dt * p11 + this.q * dt2 * dt / 2, p11 + this.q * dt2]
+      ];
+    }
+
+    // Update
+    const [[p00, p01], [p10, p11]] = this.p;
+    const s = p00 + this.r;
+    const k0 = p00 / s;
+    const k1 = p10 / s;
+    const residual = value - this.x;
+
+    this.x += k0 * residual;
+    this.v += k1 * residual;
+    this.p = [
+      [(1 - k0) * p00, (1 - k0) * p01],
+      [p10 - k1 * p00, p11 - k1 * p01]
+    ];
+
+    return this.x;
+  }
+
+  reset() {
+    this.x = null;
+    this.v = 0;
+    this.p = null;
+  }
+}
+
+const FILTER_TYPES = {
+  ema: EmaFilter,
+  oneEuro: OneEuroFilter,
+  kalman: KalmanFilter
+};
+
+function createScalarFilter(config) {
+  const FilterClass = FILTER_TYPES[config.type];
+  return FilterClass ? new FilterClass(config[config.type] || {}) : null;
+}
+
+// The rotation is smoothed as a quaternion by QuaternionFilter
+const POSITION_AXES = ['x', 'y', 'z'];
+
+/**
+ * Filters the translation of a pose
+ */
+class PoseFilter {
+  constructor(config) {
+    this.configure(config);
+  }
+
+  configure(config) {
+    this.config = config;
+    this.filters = {};
+    for (const axis of POSITION_AXES) {
+      this.filters[axis] = createScalarFilter(config);
+    }
+    this._lastTimestamp = null;
+  }
+
+  reset() {
+    Object.values(this.filters).forEach(f => f && f.reset());
+    this._lastTimestamp = null;
+  }
+
+  filter(pose, timestamp) {
+    if (this.config.type === 'none') return pose;
+
+    let dt = this._lastTimestamp === null ? 0 : (timestamp - this._lastTimestamp) / 1000;
+    if (dt < 0 || dt > FILTER_MAX_GAP_S) {
+      this.reset();
+      dt = 0;
+    }
+    this._lastTimestamp = timestamp;
+
+    const result = { ...pose };
+    for (const axis of POSITION_AXES) {
+      const filter = this.filters[axis];
+      const value = pose[axis];
+      if (!filter || !this.config.axes[axis] || typeof value !== 'number' || isNaN(value)) continue;
+
+      result[axis] = filter.filter(value, dt);
+    }
+
+    return result;
+  }
+}
+
+/**
+ * Filters a quaternion component-wise
+ * Each sample is flipped into the hemisphere of the previous output first,
+ * since q and -q describe the same rotation.
+ */
+class QuaternionFilter {
+  constructor(config) {
+    this.configure(config);
+  }
+
+  configure(config) {
+    this.config = config;
+    this.filters = ['w', 'x', 'y', 'z'].map(() => createScalarFilter(config));
+    this._last = null;
+    this._lastTimestamp = null;
+  }
+
+  reset() {
+    this.filters.forEach(f => f && f.reset());
+    this._last = null;
+    this._lastTimestamp = null;
+  }
+
+  filter(q, timestamp) {
+    if (this.config.type === 'none') return q;
+
+    let dt = this._lastTimestamp === null ? 0 : (timestamp - this._lastTimestamp) / 1000;
+    if (dt < 0 || dt > FILTER_MAX_GAP_S) {
+      this.reset();
+      dt = 0;
+    }
+    this._lastTimestamp = timestamp;
+
+    let input = q;
+    if (this._last !== null && PoseMath.quatDot(this._last, q) < 0) {
+      input = { w: -q.w, x: -q.x, y: -q.y, z: -q.z };
+    }
+
+    const [w, x, y, z] = ['w', 'x', 'y', 'z'].map((c, i) => this.filters[i].filter(input[c], dt));
+    this._last = PoseMath.quatNormalize({ w, x, y, z });
+    return this._last;
+  }
+}
+
+// Make available globally in page context
+window.EmaFilter = EmaFilter;
+window.OneEuroFilter = OneEuroFilter;
+window.KalmanFilter = KalmanFilter;
+window.PoseFilter = PoseFilter;
+window.QuaternionFilter = QuaternionFilter;
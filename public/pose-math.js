@@ -0,0 +1,119 @@
+/**
+ * Pose math helpers shared by the pipeline stages
+ * Angles are in degrees, quaternions are { w, x, y, z }
+ *
+ * Euler angles use the WebXR head frame: yaw about Y (up), pitch about X
+ * (right) and roll about Z (backwards). A rotation order such as 'YXZ'
+ * lists the intrinsic rotations in the order they are applied, so 'YXZ'
+ * is yaw, then pitch about the turned X axis, then roll.
+ */
+
+const EULER_ORDERS = ['YXZ', 'YZX', 'XYZ', 'XZY', 'ZXY', 'ZYX'];
+
+const EULER_AXIS_ANGLES = { X: 'pitch', Y: 'yaw', Z: 'roll' };
+const EULER_AXIS_INDEX = { X: 0, Y: 1, Z: 2 };
+
+const PoseMath = {
+  /**
+   * Wrap an angle to [-180, 180)
+   */
+  wrapAngle(degrees) {
+    return ((degrees + 180) % 360 + 360) % 360 - 180;
+  },
+
+  quatMultiply(a, b) {
+    return {
+      w: a.w * b.w - a.x * b.x - a.y * b.y - a.z * b.z,
+      x: a.w * b.x + a.x * b.w + a.y * b.z - a.z * b.y,
+      y: a.w * b.y - a.x * b.z + a.y * b.w + a.z * b.x,
+      z: a.w * b.z + a.x * b.y - a.y * b.x + a.z * b.w
+    };
+  },
+
+  quatConjugate(q) {
+    return { w: q.w, x: -q.x, y: -q.y, z: -q.z };
+  },
+
+  quatDot(a, b) {
+    return a.w * b.w + a.x * b.x + a.y * b.y + a.z * b.z;
+  },
+
+  quatNormalize(q) {
+    const mag = Math.sqrt(q.w * q.w + q.x * q.x + q.y * q.y + q.z * q.z);
+    if (mag === 0 || isNaN(mag)) return { w: 1, x: 0, y: 0, z: 0 };
+    return { w: q.w / mag, x: q.x / mag, y: q.y / mag, z: q.z / mag };
+  },
+
+  /**
+   * Quaternion from Euler angles { yaw, pitch, roll } applied in the given order
+   */
+  quatFromEuler(angles, order = 'YXZ') {
+    let q = { w: 1, x: 0, y: 0, z: 0 };
+    for (const axis of order) {
+      const half = angles[EULER_AXIS_ANGLES[axis]] * Math.PI / 360;
+      const r = { w: Math.cos(half), x: 0, y: 0, z: 0 };
+      r[axis.toLowerCase()] = Math.sin(half);
+      q = PoseMath.quatMultiply(q, r);
+    }
+    return q;
+  },
+
+  /**
+   * Euler angles { yaw, pitch, roll } of a unit quaternion for the given order.
+   * The middle angle is limited to ±90°; at ±90° the last angle is reported as 0.
+   */
+  eulerFromQuat(q, order = 'YXZ') {
+    const m = PoseMath.quatToMatrix(PoseMath.quatNormalize(q));
+    const [i, j, k] = [...order].map(axis => EULER_AXIS_INDEX[axis]);
+    // +1 for the cyclic orders XYZ, YZX and ZXY
+    const sign = (j - i + 3) % 3 === 1 ? 1 : -1;
+    const toDeg = 180 / Math.PI;
+
+    const s = Math.max(-1, Math.min(1, sign * m[i][k]));
+    let first, last;
+    if (Math.abs(s) < 0.9999999) {
+      first = Math.atan2(-sign * m[j][k], m[k][k]);
+      last = Math.atan2(-sign * m[i][j], m[i][i]);
+    } else {
+      first = Math.atan2(sign * m[k][j], m[j][j]);
+      last = 0;
+    }
+
+    const result = {};
+    result[EULER_AXIS_ANGLES[order[0]]] = first * toDeg;
+    result[EULER_AXIS_ANGLES[order[1]]] = Math.asin(s) * toDeg;
+    result[EULER_AXIS_ANGLES[order[2]]] = last * toDeg;
+    return result;
+  },
+
+  /**
+   * Rotation matrix (rows of column-vector transforms) of a unit quaternion
+   */
+  quatToMatrix(q) {
+    const { w, x, y, z } = q;
+    return [
+      [1 - 2 * (y * y + z * z), 2 * (x * y - w * z), 2 * (x * z + w * y)],
+      [2 * (x * y + w * z), 1 - 2 * (x * x + z * z), 2 * (y * z - w * x)],
+      [2 * (x * z - w * y), 2 * (y * z + w * x), 1 - 2 * (x * x + y * y)]
+    ];
+  },
+
+  /**
+   * Rotate a vector { x, y, z } by a unit quaternion
+   */
+  rotateVector(q, v) {
+    // t = 2 * cross(q.xyz, v), v' = v + w * t + cross(q.xyz, t)
+    const tx = 2 * (q.y * v.z - q.z * v.y);
+    const ty = 2 * (q.z * v.x - q.x * v.z);
+    const tz = 2 * (q.x * v.y - q.y * v.x);
+    return {
+      x: v.x + q.w * tx + q.y * tz - q.z * ty,
+      y: v.y + q.w * ty + q.z * tx - q.x * tz,
+      z: v.z + q.w * tz + q.x * ty - q.y * tx
+    };
+  }
+};
+
+// Make available globally in page context
+window.EULER_ORDERS = EULER_ORDERS;
+window.PoseMath = PoseMath;
@@ -0,0 +1,128 @@
+/**
+ * Pose Pipeline
+ * Turns orientations from VitureHID into the pose that is sent to the outputs
+ */
+
+class PosePipeline {
+  constructor(settings) {
+    this.mapper = new AxisMapper();
+    this.neckModel = null;
+    this.drift = null;
+    this.filter = null;
+    this.quaternionFilter = null;
+    this.fusion = null;
+    this.lastInput = null;
+    this.lastOutput = null;
+    this.lastQuaternion = null;
+    this.configure(settings);
+  }
+
+  configure(settings) {
+    const filterChanged = !this.settings ||
+      JSON.stringify(this.settings.filter) !== JSON.stringify(settings.filter);
+    const fusionChanged = !this.settings ||
+      JSON.stringify(this.settings.fusion) !== JSON.stringify(settings.fusion);
+
+    this.settings = settings;
+    this.mapper.configure(settings.mapping);
+
+    if (this.neckModel === null) {
+      this.neckModel = new NeckModel(settings.neckModel);
+    } else {
+      this.neckModel.configure(settings.neckModel);
+    }
+
+    if (this.drift === null) {
+      this.drift = new YawDriftCorrector(settings.drift);
+    } else {
+      this.drift.configure(settings.drift);
+    }
+
+    // Rebuilding the filters drops their state, only do it when they change
+    if (filterChanged) {
+      this.filter = new PoseFilter(settings.filter);
+      this.quaternionFilter = new QuaternionFilter(settings.filter);
+    }
+
+    if (fusionChanged) {
+      this.fusion = new ImuFusion(settings.fusion);
+    }
+  }
+
+  /**
+   * Feed one raw IMU sample to the in-app fusion
+   * @param {{gyro: {x, y, z}, accel: {x, y, z}}} sample - From VitureHID.onImuData()
+   * @param {number} timestamp - Sample time in milliseconds
+   */
+  processImu(sample, timestamp) {
+    this.fusion.update(sample, timestamp);
+  }
+
+  /**
+   * Process one orientation sample. Drift compensation and smoothing work on
+   * the quaternion; Euler angles are only derived for the mapping, in the
+   * configured rotation order.
+   * @param {{w: number, x: number, y: number, z: number}} quaternion - Recentered device orientation
+   * @param {number} timestamp - Sample time in milliseconds
+   * @returns {object} Mapped pose: x, y, z, yaw, pitch, roll and the matching quaternion
+   */
+  process(quaternion, timestamp) {
+    const order = this.settings.rotationOrder;
+    let q = quaternion;
+
+    // Fusion runs alongside for comparison; when enabled, and once the raw
+    // samples passed the sensor check, its orientation replaces the device's
+    if (this.fusion.ready) {
+      this.fusion.compare(quaternion, timestamp);
+      if (this.settings.fusion.enabled && this.fusion.sensorCheck.status === 'ok') q = this.fusion.quaternion;
+    }
+
+    if (this.settings.drift.enabled) {
+      // Rest detection needs heading, which is the yaw of a yaw-first order
+      this.drift.update(PoseMath.eulerFromQuat(q, 'YXZ'), timestamp);
+      q = PoseMath.quatMultiply(PoseMath.quatFromEuler({ yaw: -this.drift.correction, pitch: 0, roll: 0 }), q);
+    }
+
+    q = this._filterRotation(q, timestamp);
+    this.lastQuaternion = q;
+
+    const neck = this.neckModel.offset(q);
+    const { x, y, z } = this.settings.position;
+    const position = this.filter.filter({ x: x + neck.x, y: y + neck.y, z: z + neck.z }, timestamp);
+
+    this.lastInput = { ...position, ...PoseMath.eulerFromQuat(q, order) };
+    this.lastOutput = this.mapper.map(this.lastInput);
+    this.lastOutput.quaternion = PoseMath.quatFromEuler(this.lastOutput, order);
+    return this.lastOutput;
+  }
+
+  /**
+   * Smooth the orientation. Rotation axes switched off in the filter settings
+   * keep their unfiltered angle.
+   */
+  _filterRotation(q, timestamp) {
+    const filtered = this.quaternionFilter.filter(q, timestamp);
+    const axes = this.settings.filter.axes;
+    const enabled = ['yaw', 'pitch', 'roll'].filter(axis => axes[axis]);
+
+    if (enabled.length === 3) return filtered;
+    if (enabled.length === 0) return q;
+
+    const order = this.settings.rotationOrder;
+    const angles = PoseMath.eulerFromQuat(q, order);
+    const smoothed = PoseMath.eulerFromQuat(filtered, order);
+    enabled.forEach(axis => angles[axis] = smoothed[axis]);
+    return PoseMath.quatFromEuler(angles, order);
+  }
+
+  /**
+   * Call after VitureHID.recenter() so corrections made before it are not applied twice
+   */
+  recenter() {
+    this.drift.resetCorrection();
+    this.fusion.recenter();
+  }
+}
+
+// Make available globally in page context
+window.PosePipeline = PosePipeline;
@@ -0,0 +1,123 @@
+/**
+ * Pose Plot
+ * Canvas widget that plots yaw, pitch and roll over the last few seconds
+ *
+ * The vertical scale grows in 45° steps to fit the largest angle shown.
+ */
+
+const POSE_PLOT_AXES = [
+  { axis: 'yaw', color: '#1a73e8' },
+  { axis: 'pitch', color: '#e8453c' },
+  { axis: 'roll', color: '#34a853' }
+];
+
+class PosePlot {
+  /**
+   * @param {HTMLCanvasElement} canvas
+   * @param {object} options
+   * @param {number} options.windowMs - Time span shown
+   */
+  constructor(canvas, { windowMs = 10000 } = {}) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    this.windowMs = windowMs;
+    this.samples = [];
+
+    this._drawPending = false;
+    this._margin = 24;
+
+    this.draw();
+  }
+
+  /**
+   * @param {{yaw, pitch, roll}} pose - Angles in degrees
+   * @param {number} timestamp - Sample time in milliseconds
+   */
+  push(pose, timestamp) {
+    // Timestamps restart with a new recording or replay
+    const last = this.samples[this.samples.length - 1];
+    if (last && timestamp < last.t) this.samples = [];
+
+    this.samples.push({ t: timestamp, yaw: pose.yaw, pitch: pose.pitch, roll: pose.roll });
+
+    const cutoff = timestamp - this.windowMs;
+    let i = 0;
+    while (i < this.samples.length && this.samples[i].t < cutoff) i++;
+    if (i > 0) this.samples.splice(0, i);
+  }
+
+  clear() {
+    this.samples = [];
+    this.requestDraw();
+  }
+
+  requestDraw() {
+    if (this._drawPending) return;
+    this._drawPending = true;
+    requestAnimationFrame(() => {
+      this._drawPending = false;
+      this.draw();
+    });
+  }
+
+  _range() {
+    let max = 0;
+    for (const sample of this.samples) {
+      max = Math.max(max, Math.abs(sample.yaw), Math.abs(sample.pitch), Math.abs(sample.roll));
+    }
+    return Math.min(180, Math.max(45, Math.ceil(max / 45) * 45));
+  }
+
+  draw() {
+    const { ctx, canvas } = this;
+    const m = this._margin;
+    const w = canvas.width - m * 2;
+    const h = canvas.height - m * 2;
+    const range = this._range();
+    const end = this.samples.length > 0 ? this.samples[this.samples.length - 1].t : 0;
+    const toX = (t) => m + (1 - (end - t) / this.windowMs) * w;
+    const toY = (angle) => m + (1 - (angle + range) / (2 * range)) * h;
+
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+    // Grid: zero line and the scale limits
+    ctx.strokeStyle = '#ddd';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    for (const angle of [-range, 0, range]) {
+      ctx.moveTo(m, toY(angle));
+      ctx.lineTo(canvas.width - m, toY(angle));
+    }
+    ctx.stroke();
+
+    ctx.fillStyle = '#666';
+    ctx.font = '10px sans-serif';
+    ctx.fillText(String(range), 2, toY(range) + 4);
+    ctx.fillText('0', 2, toY(0) + 4);
+    ctx.fillText(String(-range), 2, toY(-range) + 4);
+    ctx.fillText(`-${this.windowMs / 1000} s`, m, canvas.height - 6);
+    ctx.fillText('now', canvas.width - m - 16, canvas.height - 6);
+
+    // One line per axis; a jump across ±180° breaks the line instead of crossing the plot
+    ctx.lineWidth = 1.5;
+    POSE_PLOT_AXES.forEach(({ axis, color }, index) => {
+      ctx.strokeStyle = color;
+      ctx.beginPath();
+      let previous = null;
+      for (const sample of this.samples) {
+        const x = toX(sample.t);
+        const y = toY(sample[axis]);
+        if (previous === null || Math.abs(sample[axis] - previous) > 180) ctx.moveTo(x, y);
+        else ctx.lineTo(x, y);
+        previous = sample[axis];
+      }
+      ctx.stroke();
+
+      ctx.fillStyle = color;
+      ctx.fillText(axis, m + index * 40, 12);
+    });
+  }
+}
+
+// Make available globally in page context
+window.PosePlot = PosePlot;
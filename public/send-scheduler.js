@@ -0,0 +1,127 @@
+/**
+ * Send Scheduler
+ * Decides when poses from the pipeline are sent to the outputs
+ *
+ * Modes:
+ * - sample: send every new sample as soon as it arrives
+ * - fixed:  send the latest sample at a fixed rate, nothing once samples stop
+ * - change: send a sample when any axis moved more than the threshold since the last send
+ */
+
+// In fixed mode a pose older than this is not sent again
+const SEND_STALE_AFTER_MS = 500;
+
+/**
+ * Counts events and reports their rate over the last second
+ */
+class RateMeter {
+  constructor(windowMs = 1000) {
+    this.windowMs = windowMs;
+    this._times = [];
+  }
+
+  tick(now = performance.now()) {
+    this._times.push(now);
+    this._prune(now);
+  }
+
+  get rate() {
+    this._prune(performance.now());
+    return this._times.length * 1000 / this.windowMs;
+  }
+
+  _prune(now) {
+    const cutoff = now - this.windowMs;
+    let i = 0;
+    while (i < this._times.length && this._times[i] < cutoff) i++;
+    if (i > 0) this._times.splice(0, i);
+  }
+}
+
+class SendScheduler {
+  constructor(send, config) {
+    this.send = send;
+    this.inputRate = new RateMeter();
+    this.outputRate = new RateMeter();
+    this.running = false;
+
+    this._latest = null;
+    this._latestTime = 0;
+    this._lastSent = null;
+    this._timer = null;
+
+    this.configure(config);
+  }
+
+  configure(config) {
+    const changed = !this.config ||
+      this.config.mode !== config.mode || this.config.rateHz !== config.rateHz;
+
+    this.config = config;
+    if (changed && this.running) this._startTimer();
+  }
+
+  start() {
+    this.running = true;
+    this._startTimer();
+  }
+
+  stop() {
+    this.running = false;
+    clearInterval(this._timer);
+    this._timer = null;
+    this._latest = null;
+  }
+
+  /**
+   * Hand a new pose from the pipeline to the scheduler
+   */
+  push(pose) {
+    const now = performance.now();
+    this.inputRate.tick(now);
+    this._latest = pose;
+    this._latestTime = now;
+
+    if (!this.running) return;
+
+    if (this.config.mode === 'sample') {
+      this._send(pose);
+    } else if (this.config.mode === 'change' && this._hasChanged(pose)) {
+      this._send(pose);
+    }
+  }
+
+  _startTimer() {
+    clearInterval(this._timer);
+    this._timer = null;
+
+    if (this.config.mode !== 'fixed') return;
+
+    const rateHz = Math.min(1000, Math.max(1, this.config.rateHz));
+    this._timer = setInterval(() => {
+      if (this._latest === null || performance.now() - this._latestTime > SEND_STALE_AFTER_MS) return;
+      this._send(this._latest);
+    }, 1000 / rateHz);
+  }
+
+  _hasChanged(pose) {
+    if (this._lastSent === null) return true;
+
+    const threshold = this.config.threshold;
+    return POSE_AXES.some(axis => {
+      let delta = pose[axis] - this._lastSent[axis];
+      if (axis === 'yaw' || axis === 'pitch' || axis === 'roll') delta = PoseMath.wrapAngle(delta);
+      return Math.abs(delta) > threshold;
+    });
+  }
+
+  _send(pose) {
+    this._lastSent = pose;
+    this.outputRate.tick();
+    this.send(pose);
+  }
+}
+
+// Make available globally in page context
+window.RateMeter = RateMeter;
+window.SendScheduler = SendScheduler;
@@ -38,6 +38,93 @@ function calcCrc16(data, start, length) {
   return crc;
 }
 
+/**
+ * Build a Viture packet
+ * Packet structure:
+ * - Header: 0xFF 0xFE (MCU) or 0xFF 0xFC (IMU)
+ * - CRC: 2 bytes at offset 2
+ * - Length: 2 bytes at offset 4 (little-endian)
+ * - Reserved: 8 bytes at offset 6
+ * - Command ID: 2 bytes at offset 14 (little-endian)
+ * - Message counter: 2 bytes at offset 16 (little-endian)
+ * - Data: variable length at offset 18
+ * - End marker: 0x03
+ */
+function buildViturePacket(headerByte, cmdId, msgCounter, dataBytes) {
+  const dataLen = dataBytes ? dataBytes.length : 0;
+  const packetLen = 18 + dataLen + 1; // header(2) + crc(2) + len(2) + reserved(8) + cmd(2) + msg_counter(2) + data + end(1)
+  const packet = new Uint8Array(packetLen);
+
+  // Header
+  packet[0] = 0xFF;
+  packet[1] = headerByte;
+
+  // Length (little-endian, includes everything from reserved onwards)
+  const payloadLen = 8 + 2 + 2 + dataLen + 1; // reserved + cmd + msg_counter + data + end
+  packet[4] = payloadLen & 0xFF;
+  packet[5] = (payloadLen >> 8) & 0xFF;
+
+  // Reserved bytes (offset 6-13): zeros
+  // Already zero from Uint8Array initialization
+
+  // Command ID (little-endian, offset 14-15)
+  packet[14] = cmdId & 0xFF;
+  packet[15] = (cmdId >> 8) & 0xFF;
+
+  // Message counter (offset 16-17)
+  packet[16] = msgCounter & 0xFF;
+  packet[17] = (msgCounter >> 8) & 0xFF;
+
+  // Data (offset 18+)
+  if (dataBytes && dataLen > 0) {
+    packet.set(dataBytes, 18);
+  }
+
+  // End marker
+  packet[packetLen - 1] = 0x03;
+
+  // Calculate CRC over everything from offset 4 onwards (excluding header and CRC itself)
+  const crc = calcCrc16(packet, 4, packetLen - 4);
+  packet[2] = (crc >> 8) & 0xFF;
+  packet[3] = crc & 0xFF;
+
+  return packet;
+}
+
+/**
+ * Decode a Viture packet built like buildViturePacket(). Input reports are
+ * padded, so bytes after the end marker are ignored.
+ * @returns {{header: number, cmdId: number, msgCounter: number, data: Uint8Array|null, error: string|null}}
+ *   error is null for a valid packet, otherwise 'header', 'length', 'end' or 'crc'
+ */
+function parseViturePacket(bytes) {
+  const packet = { header: bytes[1], cmdId: 0, msgCounter: 0, data: null, error: null };
+
+  if (bytes.length < 19 || bytes[0] !== 0xFF) {
+    packet.error = 'header';
+    return packet;
+  }
+
+  const payloadLen = bytes[4] | (bytes[5] << 8);
+  const packetLen = 6 + payloadLen;
+  if (payloadLen < 13 || packetLen > bytes.length) {
+    packet.error = 'length';
+    return packet;
+  }
+
+  packet.cmdId = bytes[14] | (bytes[15] << 8);
+  packet.msgCounter = bytes[16] | (bytes[17] << 8);
+  packet.data = bytes.slice(18, packetLen - 1);
+
+  if (bytes[packetLen - 1] !== 0x03) {
+    packet.error = 'end';
+  } else if (calcCrc16(bytes, 4, packetLen - 4) !== ((bytes[2] << 8) | bytes[3])) {
+    packet.error = 'crc';
+  }
+
+  return packet;
+}
+
 class VitureHID {
   // Viture USB identifiers
   static VENDOR_ID = 0x35ca;
@@ -49,6 +136,73 @@ class VitureHID {
     LUMA: [0x1131]
   };
 
+  // Default axis remap per model, keyed like PRODUCT_IDS
+  // Each output axis takes one of the three raw payload angles (source 0-2) with a sign.
+  // All models start with the fixed remap of earlier versions (see settings.js
+  // migration 1); a model that turns out to differ gets its own entry here.
+  static DEFAULT_AXIS_MAPS = {
+    ONE: {
+      yaw: { source: 2, sign: 1 },
+      pitch: { source: 0, sign: -1 },
+      roll: { source: 1, sign: -1 }
+    },
+    ONE_LITE: {
+      yaw: { source: 2, sign: 1 },
+      pitch: { source: 0, sign: -1 },
+      roll: { source: 1, sign: -1 }
+    },
+    PRO: {
+      yaw: { source: 2, sign: 1 },
+      pitch: { source: 0, sign: -1 },
+      roll: { source: 1, sign: -1 }
+    },
+    LUMA_PRO: {
+      yaw: { source: 2, sign: 1 },
+      pitch: { source: 0, sign: -1 },
+      roll: { source: 1, sign: -1 }
+    },
+    LUMA: {
+      yaw: { source: 2, sign: 1 },
+      pitch: { source: 0, sign: -1 },
+      roll: { source: 1, sign: -1 }
+    }
+  };
+
+  /**
+   * Key of PRODUCT_IDS the product ID belongs to, or null for unknown products
+   */
+  static modelKey(productId) {
+    for (const [key, ids] of Object.entries(this.PRODUCT_IDS)) {
+      if (ids.includes(productId)) return key;
+    }
+    return null;
+  }
+
+  static defaultAxisMap(productId) {
+    return this.DEFAULT_AXIS_MAPS[this.modelKey(productId) || 'ONE'];
+  }
+
+  // MCU commands are resent when no reply arrives within the timeout
+  static MCU_TIMEOUT_MS = 500;
+  static MCU_RETRIES = 2;
+
+  // MCU command IDs confirmed on real glasses. Display mode, brightness,
+  // volume, firmware version and serial number commands are left out until
+  // their IDs are known from the vendor SDK or a USB capture.
+  static MCU_COMMANDS = {
+    IMU_ENABLE: 0x15    // data: 1 on, 0 off
+  };
+
+  // A headset shows up as several HID interfaces; reconnect once they have all arrived
+  static RECONNECT_DELAY_MS = 500;
+
+  // Interfaces in use by any instance, so each headset is driven by one VitureHID
+  static _claimed = new Set();
+  // Discovery runs one instance at a time, see _claimHeadset()
+  static _discovery = Promise.resolve();
+  // Serial number of each interface, where known; see identifyInterfaces()
+  static _serialNumbers = new WeakMap();
+
   static get ALL_PRODUCT_IDS() {
     return [
       ...this.PRODUCT_IDS.ONE,
@@ -64,72 +218,204 @@ class VitureHID {
     this.mcuDevice = null;     // MCU device (for commands)
     this.imuDevice = null;     // IMU device (for orientation data)
     this.connected = false;
+    this.reconnecting = false; // Unplugged, waiting for the glasses to come back
+    this.headsetId = null;     // Identifies the headset across reconnects, see headsetIdOf()
+    this.headsetCount = 1;     // Glasses sharing the interfaces, see groupVitureInterfaces()
     this.quaternion = { w: 1, x: 0, y: 0, z: 0 };
     this.calibrationOffset = { w: 1, x: 0, y: 0, z: 0 };
+    this.rotationOffset = { yaw: 0, pitch: 0, roll: 0 };
     this.rotation = { yaw: 0, pitch: 0, roll: 0 };
+    this._rawQuaternion = { w: 1, x: 0, y: 0, z: 0 };   // Before recenter
+    this.xrQuaternion = { w: 1, x: 0, y: 0, z: 0 };     // Recentered orientation for WebXR, see getXRQuaternion()
+    this._xrCalibrationOffset = { w: 1, x: 0, y: 0, z: 0 };
+    this._rawXrQuaternion = { w: 1, x: 0, y: 0, z: 0 };
+    this._rawRotation = { yaw: 0, pitch: 0, roll: 0 };
+    this.angularVelocity = null;   // Latest gyroscope sample (°/s), null until the packets carry one
+    this.acceleration = null;      // Latest accelerometer sample (g)
+    this.axisMap = null;       // Custom axis remap, null uses the model default
     this.callbacks = new Set();
     this.callbacksRot = new Set();
+    this.imuCallbacks = new Set();
+    this.reportCallbacks = new Set();
+    this.mcuCallbacks = new Set();
+    this._pendingCommands = new Map();   // msgCounter -> { cmdId, resolve }
+    this._packetStats = {};              // deviceIndex -> counters, see getPacketStats()
     this._animationFrame = null;
     this._msgCounter = 0;
+    this.sampleTime = 0;       // Timestamp (ms) of the report being processed
+    this._reconnectTimer = null;
+    this._reportListeners = new Map();   // device -> inputreport listener
+
+    if (VitureHID.isSupported()) {
+      navigator.hid.addEventListener('disconnect', (event) => this._handleHidDisconnect(event.device));
+      navigator.hid.addEventListener('connect', (event) => this._handleHidConnect(event.device));
+    }
   }
 
   /**
    * Build a command packet for Viture MCU
-   * Packet structure:
-   * - Header: 0xFF 0xFE (MCU)
-   * - CRC: 2 bytes at offset 2
-   * - Length: 2 bytes at offset 4 (little-endian)
-   * - Reserved: 8 bytes at offset 6
-   * - Command ID: 2 bytes at offset 14 (little-endian)
-   * - Data: variable length at offset 16
-   * - End marker: 0x03
+   * See buildViturePacket() for the packet structure
    */
   _buildMcuCommand(cmdId, dataBytes) {
-    const dataLen = dataBytes ? dataBytes.length : 0;
-    const packetLen = 18 + dataLen + 1; // header(2) + crc(2) + len(2) + reserved(8) + cmd(2) + msg_counter(2) + data + end(1)
-    const packet = new Uint8Array(packetLen);
+    // Message counter - not strictly needed but included
+    this._msgCounter = (this._msgCounter + 1) & 0xFFFF;
+    return buildViturePacket(0xFE, cmdId, this._msgCounter, dataBytes);
+  }
 
-    // Header
-    packet[0] = 0xFF;
-    packet[1] = 0xFE;
+  /**
+   * Send a command to the MCU and wait for its reply
+   * Replies are matched to the request by message counter and command ID.
+   * Without a reply the same packet is resent up to `retries` times.
+   * @param {number} cmdId
+   * @param {Uint8Array|number[]} [data]
+   * @param {{timeout?: number, retries?: number}} [options]
+   * @returns {Promise<{header: number, cmdId: number, msgCounter: number, data: Uint8Array}>}
+   */
+  async sendCommand(cmdId, data = [], { timeout = VitureHID.MCU_TIMEOUT_MS, retries = VitureHID.MCU_RETRIES } = {}) {
+    const devices = this._commandDevices();
+    if (devices.length === 0) {
+      throw new Error('Viture not connected');
+    }
 
-    // Length (little-endian, includes everything from reserved onwards)
-    const payloadLen = 8 + 2 + 2 + dataLen + 1; // reserved + cmd + msg_counter + data + end
-    packet[4] = payloadLen & 0xFF;
-    packet[5] = (payloadLen >> 8) & 0xFF;
+    const packet = this._buildMcuCommand(cmdId, new Uint8Array(data));
+    const msgCounter = this._msgCounter;
+    debugLog('Viture: MCU command', cmdId.toString(16), 'packet:',
+      Array.from(packet).map(b => b.toString(16).padStart(2, '0')).join(' '));
 
-    // Reserved bytes (offset 6-13): zeros
-    // Already zero from Uint8Array initialization
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      // Register before sending, a reply can arrive before sendReport() resolves
+      let timer;
+      const reply = new Promise((resolve, reject) => {
+        timer = setTimeout(() => resolve(null), timeout);
+        this._pendingCommands.set(msgCounter, { cmdId, resolve, reject });
+      });
 
-    // Command ID (little-endian, offset 14-15)
-    packet[14] = cmdId & 0xFF;
-    packet[15] = (cmdId >> 8) & 0xFF;
+      let result;
+      try {
+        await this._sendPacket(devices, packet);
+        result = await reply;
+      } finally {
+        clearTimeout(timer);
+        this._pendingCommands.delete(msgCounter);
+      }
+      if (result !== null) return result;
 
-    // Message counter (offset 16-17) - not strictly needed but included
-    this._msgCounter = (this._msgCounter + 1) & 0xFFFF;
-    packet[16] = this._msgCounter & 0xFF;
-    packet[17] = (this._msgCounter >> 8) & 0xFF;
+      debugWarn(`Viture: No reply to MCU command 0x${cmdId.toString(16)} (attempt ${attempt + 1})`);
+    }
+
+    throw new Error(`MCU command 0x${cmdId.toString(16)} timed out after ${retries + 1} attempts`);
+  }
+
+  /**
+   * Listen for MCU packets that are not replies to a pending command
+   */
+  onMcuMessage(callback) {
+    this.mcuCallbacks.add(callback);
+    return () => this.mcuCallbacks.delete(callback);
+  }
+
+  // The MCU interface once it has replied, until then every open interface
+  _commandDevices() {
+    if (this.mcuDevice && this.mcuDevice.opened) return [this.mcuDevice];
+    return (this._allDevices || []).filter(device => device.opened);
+  }
 
-    // Data (offset 18+)
-    if (dataBytes && dataLen > 0) {
-      packet.set(dataBytes, 18);
+  async _sendPacket(devices, packet) {
+    let lastError = null;
+    let sent = 0;
+
+    for (const device of devices) {
+      try {
+        await device.sendReport(0x00, packet);
+        sent++;
+      } catch (e) {
+        lastError = e;
+        debugLog('Viture: sendReport failed:', e.message);
+      }
     }
 
-    // End marker
-    packet[packetLen - 1] = 0x03;
+    if (sent === 0) {
+      throw new Error('Failed to send MCU command: ' + (lastError ? lastError.message : 'no open device'));
+    }
+  }
 
-    // Calculate CRC over everything from offset 4 onwards (excluding header and CRC itself)
-    const crc = calcCrc16(packet, 4, packetLen - 4);
-    packet[2] = (crc >> 8) & 0xFF;
-    packet[3] = crc & 0xFF;
+  _handleMcuPacket(packet, deviceIndex) {
+    // Commands go only to the interface that answers from now on
+    const device = this._allDevices ? this._allDevices[deviceIndex] : null;
+    if (device && this.mcuDevice !== device) {
+      debugLog('Viture: MCU is device', deviceIndex + 1);
+      this.mcuDevice = device;
+    }
 
-    return packet;
+    const pending = this._pendingCommands.get(packet.msgCounter);
+    if (pending && pending.cmdId === packet.cmdId) {
+      this._pendingCommands.delete(packet.msgCounter);
+      pending.resolve(packet);
+      return;
+    }
+
+    debugLog('Viture: MCU message, cmd:', packet.cmdId.toString(16), 'data:', Array.from(packet.data));
+    this.mcuCallbacks.forEach(cb => cb(packet));
+  }
+
+  _rejectPendingCommands(error) {
+    this._pendingCommands.forEach(pending => pending.reject(error));
+    this._pendingCommands.clear();
   }
 
   static isSupported() {
     return 'hid' in navigator;
   }
 
+  /**
+   * Authorized Viture interfaces no instance has claimed yet
+   */
+  static async freeInterfaces() {
+    if (!VitureHID.isSupported()) return [];
+
+    const devices = await navigator.hid.getDevices();
+    return devices.filter(device =>
+      device.vendorId === VitureHID.VENDOR_ID &&
+      VitureHID.ALL_PRODUCT_IDS.includes(device.productId) &&
+      !VitureHID._claimed.has(device));
+  }
+
+  /**
+   * Serial numbers WebHID hides, from the app's main process: the serial number
+   * of the glasses just picked in the device list and those seen so far by
+   * model ("35ca:1019"). Resolves to null outside the app.
+   * @returns {Promise<{selected: string|null, byModel: Object<string, string[]>}|null>}
+   */
+  static async serialNumbers() {
+    const api = window.electronAPI;
+    return api && api.getHeadsetSerials ? api.getHeadsetSerials() : null;
+  }
+
+  /**
+   * Give interfaces without a serial number the one of their glasses where
+   * that is unambiguous: the interfaces of a model form a single headset, and
+   * of the known serial numbers of that model no other interface carries, only
+   * one is left or one is the wanted headset's.
+   * @param {HIDDevice[]} devices - Free interfaces
+   * @param {{byModel: Object<string, string[]>}|null} serials - See serialNumbers()
+   * @param {string|null} [headsetId] - The headset being looked for
+   */
+  static identifyInterfaces(devices, serials, headsetId = null) {
+    if (!serials || !serials.byModel) return;
+
+    const unknown = devices.filter(device => !device.simulated && !VitureHID._serialNumbers.has(device));
+    const inUse = new Set([...VitureHID._claimed, ...devices].map(device => VitureHID._serialNumbers.get(device)));
+
+    for (const group of groupVitureInterfaces(unknown)) {
+      if (group.headsetCount > 1) continue;
+
+      const candidates = (serials.byModel[group.id] || []).filter(serial => !inUse.has(serial));
+      const wanted = candidates.find(serial => headsetId === `${group.id}:${serial}`);
+      const serial = wanted || (candidates.length === 1 ? candidates[0] : null);
+      if (serial) group.devices.forEach(device => VitureHID._serialNumbers.set(device, serial));
+    }
+  }
+
   async connect() {
     if (!VitureHID.isSupported()) {
       throw new Error('WebHID not supported');
@@ -149,35 +435,25 @@ class VitureHID {
 
     console.log('Viture: User selected', selectedDevices.length, 'device(s)');
 
-    // After user authorizes, get ALL authorized Viture devices
-    const allAuthorized = await navigator.hid.getDevices();
-    const vitureDevices = allAuthorized.filter(d =>
-      d.vendorId === VitureHID.VENDOR_ID
-    );
-
-    console.log(`Viture: Found ${vitureDevices.length} authorized Viture device(s)`);
+    // These are all interfaces of the picked glasses, whose serial number the main process knows
+    const serials = await VitureHID.serialNumbers();
+    if (serials && serials.selected) {
+      selectedDevices.forEach(device => VitureHID._serialNumbers.set(device, serials.selected));
+    }
 
-    // Open and listen on ALL Viture devices
-    for (let i = 0; i < vitureDevices.length; i++) {
-      const device = vitureDevices[i];
-      try {
-        if (!device.opened) {
-          console.log(`Viture: Opening device ${i + 1}/${vitureDevices.length}...`);
-          await device.open();
-        }
-        device.addEventListener('inputreport', (event) => this._handleInputReport(event, i));
-        console.log(`Viture: Device ${i + 1} ready`);
-      } catch (e) {
-        console.warn(`Viture: Failed to open device ${i + 1}:`, e.message);
-      }
+    // Picking again gives up the current headset, it may be the one picked
+    if (this.connected) {
+      await this._release(new Error('Viture reconnecting'));
     }
 
-    this.device = vitureDevices[0];
-    this._allDevices = vitureDevices;
-    this.connected = true;
+    // Prefer the glasses picked in the list over other plugged-in ones
+    const group = await this._claimHeadset(headsetIdOf(selectedDevices[0]));
+    if (group === null) {
+      throw new Error('No free Viture headset found');
+    }
 
-    // Try to start IMU data stream
-    await this._startIMU();
+    this._stopReconnecting();
+    await this._attach(group);
 
     // Notify extension
     window.postMessage({
@@ -188,6 +464,73 @@ class VitureHID {
     return this._getDeviceInfo();
   }
 
+  /**
+   * Pick one headset among the free interfaces: the one with the given headset
+   * ID, by default this instance's if it had one, otherwise the first. Its
+   * interfaces are claimed before the next instance may look.
+   * @param {string|null} [headsetId]
+   * @returns {Promise<{id, productId, devices, headsetCount}|null>}
+   */
+  _claimHeadset(headsetId = this.headsetId) {
+    const claim = VitureHID._discovery.then(async () => {
+      const devices = await VitureHID.freeInterfaces();
+      VitureHID.identifyInterfaces(devices, await VitureHID.serialNumbers(), headsetId);
+      console.log(`Viture: Found ${devices.length} free Viture interface(s), opening all...`);
+
+      const opened = [];
+      for (let i = 0; i < devices.length; i++) {
+        const device = devices[i];
+        try {
+          if (!device.opened) {
+            console.log(`Viture: Opening device ${i + 1}/${devices.length}...`);
+            await device.open();
+          }
+          opened.push(device);
+        } catch (e) {
+          console.warn(`Viture: Failed to open device ${i + 1}:`, e.message);
+        }
+      }
+      if (opened.length === 0) return null;
+
+      const groups = groupVitureInterfaces(opened);
+      const group = headsetId === null ? groups[0] : groups.find(g => g.id === headsetId);
+      if (!group) return null;
+
+      group.devices.forEach(device => VitureHID._claimed.add(device));
+      return group;
+    });
+
+    VitureHID._discovery = claim.catch(() => null);
+    return claim;
+  }
+
+  /**
+   * Listen to the interfaces of a claimed headset and start its IMU
+   */
+  async _attach(group) {
+    const devices = group.devices;
+    devices.forEach((device, i) => {
+      const listener = (event) => this._handleInputReport(event, i);
+      device.addEventListener('inputreport', listener);
+      this._reportListeners.set(device, listener);
+      debugLog(`Viture: Device ${i + 1} collections:`, device.collections);
+    });
+
+    this.device = devices[0];  // Primary device for backward compatibility
+    this.mcuDevice = null;     // Learned from the first MCU reply
+    this.headsetId = group.id;
+    this.headsetCount = group.headsetCount;
+    this._allDevices = devices;
+    this.connected = true;
+    console.log(`Viture: Headset ${this.headsetId} with ${devices.length} interface(s)`);
+    if (this.headsetCount > 1) {
+      console.warn(`Viture: ${this.headsetCount} headsets without known serial numbers cannot be told apart, tracking them as one`);
+    }
+
+    // Try to start IMU data stream
+    await this._startIMU();
+  }
+
   async _startIMU() {
     const devices = this._allDevices || (this.device ? [this.device] : []);
     if (devices.length === 0) return;
@@ -207,41 +550,14 @@ class VitureHID {
     }
 
     try {
-      console.log('Viture: Sending IMU enable command (cmd 0x15, data 0x01) to all devices...');
-
-      // Build the proper MCU command packet for IMU enable
-      const imuEnableCmd = this._buildMcuCommand(0x15, new Uint8Array([0x01]));
-      console.log('Viture: IMU enable packet:', Array.from(imuEnableCmd).map(b => b.toString(16).padStart(2, '0')).join(' '));
+      console.log('Viture: Sending IMU enable command (cmd 0x15, data 0x01)...');
 
-      // Send to ALL devices
-      for (let i = 0; i < devices.length; i++) {
-        const device = devices[i];
-        if (!device.opened) continue;
-
-        console.log(`Viture: Sending commands to device ${i + 1}...`);
-
-        // Try sending with report ID 0
-        try {
-          await device.sendReport(0x00, imuEnableCmd);
-          console.log(`Viture: Device ${i + 1}: Sent IMU enable command`);
-        } catch (e) {
-          debugLog(`Viture: Device ${i + 1}: sendReport failed:`, e.message);
-        }
-
-        // Also try simpler commands
-        const simpleCommands = [
-          new Uint8Array([0xFF, 0xFE, 0x15, 0x01]),
-          new Uint8Array([0x15, 0x01]),
-          new Uint8Array([0x01]),
-        ];
-
-        for (const cmd of simpleCommands) {
-          try {
-            await device.sendReport(0x00, cmd);
-          } catch (e) {
-            // Ignore
-          }
-        }
+      try {
+        const reply = await this.sendCommand(VitureHID.MCU_COMMANDS.IMU_ENABLE, [0x01]);
+        console.log('Viture: IMU enable acknowledged, status:', reply.data[0]);
+      } catch (e) {
+        console.warn('Viture: IMU enable not acknowledged:', e.message);
+        await this._sendLegacyImuEnable(devices);
       }
 
       console.log('Viture: IMU initialization complete, waiting for data from all devices...');
@@ -255,7 +571,9 @@ class VitureHID {
           console.log(`Viture: Received ${totalReports} total input reports`);
           if (this._reportCounts) {
             for (const [idx, count] of Object.entries(this._reportCounts)) {
-              console.log(`  Device ${parseInt(idx) + 1}: ${count} reports`);
+              const stats = this._statsFor(idx);
+              console.log(`  Device ${parseInt(idx) + 1}: ${count} reports, ${stats.good} good, ` +
+                `${stats.corrupt} corrupt, ${stats.outOfRange} out of range, ${stats.unrecognized} unrecognized`);
             }
           }
         }
@@ -266,85 +584,137 @@ class VitureHID {
     }
   }
 
-  async checkExistingConnection() {
-    if (!VitureHID.isSupported()) return false;
-
-    debugLog('Viture: Checking for existing connections...');
-    const devices = await navigator.hid.getDevices();
-    debugLog('Viture: Found', devices.length, 'previously authorized devices');
+  /**
+   * Shorter IMU enable variants for firmware that does not acknowledge the
+   * full command packet
+   */
+  async _sendLegacyImuEnable(devices) {
+    const simpleCommands = [
+      new Uint8Array([0xFF, 0xFE, 0x15, 0x01]),
+      new Uint8Array([0x15, 0x01]),
+      new Uint8Array([0x01]),
+    ];
 
-    // Collect ALL matching Viture devices (there are typically 2: MCU and IMU interfaces)
-    const vitureDevices = [];
     for (const device of devices) {
-      debugLog('Viture: Checking device VID:', device.vendorId.toString(16), 'PID:', device.productId.toString(16));
+      if (!device.opened) continue;
 
-      if (device.vendorId === VitureHID.VENDOR_ID &&
-          VitureHID.ALL_PRODUCT_IDS.includes(device.productId)) {
-        debugLog('Viture: Found matching device:', device.productName);
-        vitureDevices.push(device);
+      for (const cmd of simpleCommands) {
+        try {
+          await device.sendReport(0x00, cmd);
+        } catch (e) {
+          // Ignore
+        }
       }
     }
+  }
+
+  /**
+   * Reopen glasses authorized earlier, without asking
+   * @param {string|null} [headsetId] - Only this headset, see _claimHeadset()
+   */
+  async checkExistingConnection(headsetId = this.headsetId) {
+    if (!VitureHID.isSupported()) return false;
 
-    if (vitureDevices.length === 0) {
+    debugLog('Viture: Checking for existing connections...');
+    const group = await this._claimHeadset(headsetId);
+    if (group === null) {
       debugLog('Viture: No matching devices found');
       return false;
     }
 
-    console.log(`Viture: Found ${vitureDevices.length} Viture device(s), opening all...`);
+    const reconnected = this.reconnecting;
+    this._stopReconnecting();
+    await this._attach(group);
 
-    // Open ALL Viture devices and add listeners
-    for (let i = 0; i < vitureDevices.length; i++) {
-      const device = vitureDevices[i];
-      try {
-        if (!device.opened) {
-          console.log(`Viture: Opening device ${i + 1}/${vitureDevices.length}...`);
-          await device.open();
-        }
+    window.postMessage({
+      type: 'VITURE_DEVICE_CONNECTED',
+      deviceInfo: this._getDeviceInfo(),
+      reconnected
+    }, '*');
 
-        console.log(`Viture: Device ${i + 1} collections:`, device.collections);
+    return true;
+  }
 
-        // Add input report listener to ALL devices
-        device.addEventListener('inputreport', (event) => this._handleInputReport(event, i));
+  async disconnect() {
+    this._stopReconnecting();
+    await this._release(new Error('Viture disconnected'));
 
-      } catch (e) {
-        console.warn(`Viture: Failed to open device ${i + 1}:`, e.message);
+    window.postMessage({ type: 'VITURE_DEVICE_DISCONNECTED' }, '*');
+  }
+
+  /**
+   * Forget the open devices and close those still present
+   */
+  async _release(error) {
+    const devices = this._allDevices || [];
+
+    // Reset first: the other interfaces of an unplugged headset report their own disconnect meanwhile
+    this.device = null;
+    this.mcuDevice = null;
+    this._allDevices = null;
+    this.connected = false;
+    this._rejectPendingCommands(error);
+
+    for (const [device, listener] of this._reportListeners) {
+      device.removeEventListener('inputreport', listener);
+      VitureHID._claimed.delete(device);
+    }
+    this._reportListeners.clear();
+
+    for (const device of devices) {
+      if (device && device.opened) {
+        try {
+          await device.close();
+        } catch (e) {
+          console.warn('Viture: Error closing device:', e);
+        }
       }
     }
+  }
 
-    // Store all devices
-    this.device = vitureDevices[0];  // Primary device for backward compatibility
-    this._allDevices = vitureDevices;
-    this.connected = true;
+  /**
+   * navigator.hid 'disconnect': losing any open interface means the cable was pulled
+   */
+  async _handleHidDisconnect(device) {
+    if (!this._allDevices || !this._allDevices.includes(device)) return;
 
-    // Try to start IMU (send command to all devices)
-    await this._startIMU();
+    console.warn('Viture: Device unplugged:', device.productName);
+    this.reconnecting = true;
+    await this._release(new Error('Viture unplugged'));
 
-    window.postMessage({
-      type: 'VITURE_DEVICE_CONNECTED',
-      deviceInfo: this._getDeviceInfo()
-    }, '*');
+    window.postMessage({ type: 'VITURE_DEVICE_DISCONNECTED', unplugged: true }, '*');
+  }
 
-    return true;
+  /**
+   * navigator.hid 'connect': reopen the glasses after they were unplugged
+   */
+  _handleHidConnect(device) {
+    if (!this.reconnecting || device.vendorId !== VitureHID.VENDOR_ID ||
+        !VitureHID.ALL_PRODUCT_IDS.includes(device.productId)) return;
+
+    debugLog('Viture: Device plugged in:', device.productName);
+    clearTimeout(this._reconnectTimer);
+    this._reconnectTimer = setTimeout(() => this._reconnect(), VitureHID.RECONNECT_DELAY_MS);
   }
 
-  async disconnect() {
-    // Close all devices
-    if (this._allDevices) {
-      for (const device of this._allDevices) {
-        if (device && device.opened) {
-          try {
-            await device.close();
-          } catch (e) {
-            console.warn('Viture: Error closing device:', e);
-          }
-        }
+  async _reconnect() {
+    this._reconnectTimer = null;
+    if (!this.reconnecting) return;
+
+    console.log('Viture: Reconnecting...');
+    try {
+      if (!await this.checkExistingConnection()) {
+        console.warn('Viture: Reconnect found no authorized device, waiting for the next one');
       }
+    } catch (e) {
+      console.warn('Viture: Reconnect failed:', e.message);
     }
-    this.device = null;
-    this._allDevices = null;
-    this.connected = false;
+  }
 
-    window.postMessage({ type: 'VITURE_DEVICE_DISCONNECTED' }, '*');
+  _stopReconnecting() {
+    this.reconnecting = false;
+    clearTimeout(this._reconnectTimer);
+    this._reconnectTimer = null;
   }
 
   _handleInputReport(event, deviceIndex = 0) {
@@ -352,6 +722,11 @@ class VitureHID {
     const dataView = event.data;
     const bytes = new Uint8Array(dataView.buffer, dataView.byteOffset, dataView.byteLength);
 
+    // Raw report listeners (recording) see every report before parsing
+    const timestamp = event.timeStamp ?? performance.now();
+    this.reportCallbacks.forEach(cb => cb(bytes, deviceIndex, timestamp));
+    this.sampleTime = timestamp;
+
     // Debug: log first few reports from each device
     if (!this._reportCounts) this._reportCounts = {};
     if (!this._reportCounts[deviceIndex]) this._reportCounts[deviceIndex] = 0;
@@ -368,12 +743,43 @@ class VitureHID {
     if (!this._reportCount) this._reportCount = 0;
     this._reportCount++;
 
+    const stats = this._statsFor(deviceIndex);
+    stats.reports++;
+    stats.lastReport = bytes;
+    stats.lastReportTime = timestamp;
+
     // Check for Viture packet format (header 0xFF 0xFC for IMU, 0xFF 0xFE for MCU)
-    if (bytes.length >= 30 && bytes[0] === 0xFF && bytes[1] === 0xFC) {
-      // Viture IMU packet - payload starts at offset 18 (0x12)
-      // Euler: roll at payload+0, pitch at payload+4, yaw at payload+8
-      this._parseVitureImuPacket(bytes);
-    } else if (bytes.length >= 36) {
+    if (bytes[0] === 0xFF && (bytes[1] === 0xFC || bytes[1] === 0xFE)) {
+      const packet = parseViturePacket(bytes);
+      if (packet.error === null && packet.header === 0xFC && packet.data.length < 12) {
+        packet.error = 'length';
+      }
+
+      if (packet.error) {
+        stats.corrupt++;
+        stats.lastError = packet.error;
+        debugWarn(`Viture device[${deviceIndex}]: Dropping packet with bad ${packet.error}`);
+        return;
+      }
+
+      if (packet.header === 0xFE) {
+        // MCU reply or notification - carries no orientation data
+        stats.good++;
+        this._handleMcuPacket(packet, deviceIndex);
+        return;
+      }
+
+      if (this._parseVitureImuPacket(packet.data)) {
+        stats.good++;
+      } else {
+        stats.outOfRange++;
+      }
+      return;
+    }
+
+    stats.unrecognized++;
+
+    if (bytes.length >= 36) {
       // Try XRLinuxDriver quaternion format (bytes 20-35)
       this._parseQuaternionData(bytes);
     } else if (bytes.length >= 12) {
@@ -385,26 +791,60 @@ class VitureHID {
   }
 
   /**
-   * Parse Viture IMU packet format
-   * Header: 0xFF 0xFC
-   * Payload at offset 18 (0x12)
-   * Euler angles: roll (0-3), pitch (4-7), yaw (8-11) - big-endian floats, byte-swapped
+   * Per-device packet integrity counters, for diagnosing cables and USB hubs
+   * - good: valid IMU and MCU packets
+   * - corrupt: 0xFF 0xFC / 0xFF 0xFE packets with a bad CRC, length or end marker (dropped)
+   * - outOfRange: valid IMU packets with angles outside ±180° (dropped)
+   * - unrecognized: reports without a Viture packet header
+   * reports counts every input report; lastReport holds the bytes of the latest
+   * one and lastReportTime its timestamp (ms).
+   * @returns {Array<{deviceIndex, productName, reports, good, corrupt, outOfRange, unrecognized, lastError,
+   *   lastReport, lastReportTime}>}
    */
-  _parseVitureImuPacket(bytes) {
-    const payloadOffset = 18; // 0x12
+  getPacketStats() {
+    return Object.entries(this._packetStats).map(([index, stats]) => {
+      const device = this._allDevices ? this._allDevices[index] : null;
+      return {
+        deviceIndex: Number(index),
+        productName: device ? device.productName : null,
+        ...stats
+      };
+    });
+  }
 
-    // Extract raw Euler angles from payload with byte order swap
-    const raw0 = this._floatFromIMUSwapped(bytes, payloadOffset);
-    const raw1 = this._floatFromIMUSwapped(bytes, payloadOffset + 4);
-    const raw2 = this._floatFromIMUSwapped(bytes, payloadOffset + 8);
+  resetPacketStats() {
+    this._packetStats = {};
+  }
+
+  _statsFor(deviceIndex) {
+    if (!this._packetStats[deviceIndex]) {
+      this._packetStats[deviceIndex] = {
+        reports: 0, good: 0, corrupt: 0, outOfRange: 0, unrecognized: 0, lastError: null,
+        lastReport: null, lastReportTime: null
+      };
+    }
+    return this._packetStats[deviceIndex];
+  }
 
-    // Remap axes for correct WebXR orientation:
-    // Based on testing: raw0 = physical yaw, raw1 = physical roll, raw2 = physical pitch
-    const yaw = -raw0;     // Roll
-    const roll = -raw1;    // up/Down
-    const pitch = raw2;   // Left/right
+  /**
+   * Parse the data of a Viture IMU packet (header 0xFF 0xFC, data at offset 18)
+   * Euler angles: roll (0-3), pitch (4-7), yaw (8-11) - big-endian floats, byte-swapped
+   * Longer packets also carry the raw sensors in the same raw axis order:
+   * gyroscope (12-23, °/s) and accelerometer (24-35, g)
+   * @returns {boolean} false when the angles are out of range
+   */
+  _parseVitureImuPacket(data) {
+    // Extract raw Euler angles from payload with byte order swap
+    const raw0 = this._floatFromIMUSwapped(data, 0);
+    const raw1 = this._floatFromIMUSwapped(data, 4);
+    const raw2 = this._floatFromIMUSwapped(data, 8);
 
-    this.rotation = { yaw, pitch, roll };
+    // Remap raw angles to head yaw (left/right), pitch (up/down) and roll
+    const raw = [raw0, raw1, raw2];
+    const map = this.getAxisMap();
+    const yaw = map.yaw.sign * raw[map.yaw.source];
+    const pitch = map.pitch.sign * raw[map.pitch.source];
+    const roll = map.roll.sign * raw[map.roll.source];
 
     // Debug: log values periodically
     if (!this._vitureLogCount) this._vitureLogCount = 0;
@@ -419,18 +859,88 @@ class VitureHID {
       if (this._vitureLogCount <= 10) {
         console.warn('Viture: Invalid Euler angles:', { roll, pitch, yaw });
       }
-      return;
+      return false;
     }
 
-    const q = this._eulerToQuaternion(roll, pitch, yaw);
+    // _eulerToQuaternion rotates about X, Y and Z. WebXR is Y-up with -Z
+    // forward, so pitch goes about X, yaw about Y and roll about Z.
+    const q = this._eulerToQuaternion(pitch, yaw, roll);
+
+    this._rawRotation = { yaw, pitch, roll };
+    this.rotation = this._applyRotationOffset(this._rawRotation);
+    this.quaternion = this._applyCalibration(q);
+
+    // WebXR keeps the axes earlier versions gave it: roll about X and pitch about Z
+    this._applyXrCalibration(this._eulerToQuaternion(roll, yaw, pitch));
+
+    // Sensors go first so fusion has the current sample when the orientation arrives
+    if (data.length >= 36) {
+      this._parseImuSensors(data, map);
+    }
+    this._notifyCallbacks();
+    return true;
+  }
+
+  /**
+   * Decode the raw gyroscope and accelerometer and remap them like the angles:
+   * x is the pitch axis, y the yaw axis and z the roll axis of the head frame
+   */
+  _parseImuSensors(data, map) {
+    const vector = (offset) => {
+      const raw = [0, 4, 8].map(i => this._floatFromIMUSwapped(data, offset + i));
+      return {
+        x: map.pitch.sign * raw[map.pitch.source],
+        y: map.yaw.sign * raw[map.yaw.source],
+        z: map.roll.sign * raw[map.roll.source]
+      };
+    };
+
+    const gyro = vector(12);
+    const accel = vector(24);
+    if ([gyro, accel].some(v => isNaN(v.x) || isNaN(v.y) || isNaN(v.z))) return;
 
-    const calibrated = this._multiplyQuaternions(
+    this.angularVelocity = gyro;
+    this.acceleration = accel;
+    this.imuCallbacks.forEach(cb => cb({ gyro, accel }, this.sampleTime));
+  }
+
+  /**
+   * Relative rotation from the recenter pose, each angle wrapped to ±180°
+   */
+  _applyRotationOffset(rotation) {
+    const wrap = (angle) => ((angle + 180) % 360 + 360) % 360 - 180;
+    return {
+      yaw: wrap(rotation.yaw - this.rotationOffset.yaw),
+      pitch: wrap(rotation.pitch - this.rotationOffset.pitch),
+      roll: wrap(rotation.roll - this.rotationOffset.roll)
+    };
+  }
+
+  _applyCalibration(q) {
+    this._rawQuaternion = q;
+    return this._multiplyQuaternions(
       this._conjugateQuaternion(this.calibrationOffset),
       q
     );
+  }
 
-    this.quaternion = calibrated;
-    this._notifyCallbacks();
+  _applyXrCalibration(q) {
+    this._rawXrQuaternion = q;
+    this.xrQuaternion = this._multiplyQuaternions(this._conjugateQuaternion(this._xrCalibrationOffset), q);
+  }
+
+  /**
+   * Axis remap in use: the custom map if set, otherwise the default for the connected model
+   */
+  getAxisMap() {
+    return this.axisMap || VitureHID.defaultAxisMap(this.device ? this.device.productId : null);
+  }
+
+  /**
+   * Set a custom axis remap ({ yaw, pitch, roll } of { source, sign }), or null for the model default
+   */
+  setAxisMap(map) {
+    this.axisMap = map;
   }
 
   /**
@@ -476,12 +986,8 @@ class VitureHID {
       return; // Skip invalid data
     }
 
-    const calibrated = this._multiplyQuaternions(
-      this._conjugateQuaternion(this.calibrationOffset),
-      { w, x, y, z }
-    );
-
-    this.quaternion = calibrated;
+    this.quaternion = this._applyCalibration({ w, x, y, z });
+    this._applyXrCalibration({ w, x, y, z });
     this._notifyCallbacks();
   }
 
@@ -492,12 +998,8 @@ class VitureHID {
 
     const q = this._eulerToQuaternion(roll, pitch, yaw);
 
-    const calibrated = this._multiplyQuaternions(
-      this._conjugateQuaternion(this.calibrationOffset),
-      q
-    );
-
-    this.quaternion = calibrated;
+    this.quaternion = this._applyCalibration(q);
+    this._applyXrCalibration(q);
     this._notifyCallbacks();
   }
 
@@ -549,8 +1051,17 @@ class VitureHID {
     return { w: q.w, x: -q.x, y: -q.y, z: -q.z };
   }
 
+  /**
+   * Make the current orientation the new center for every output:
+   * the quaternion (WebXR) as well as the rotation angles (UDP)
+   */
   recenter() {
-    this.calibrationOffset = { ...this.quaternion };
+    this.calibrationOffset = { ...this._rawQuaternion };
+    this.rotationOffset = { ...this._rawRotation };
+    this.rotation = this._applyRotationOffset(this._rawRotation);
+    this.quaternion = this._applyCalibration(this._rawQuaternion);
+    this._xrCalibrationOffset = { ...this._rawXrQuaternion };
+    this._applyXrCalibration(this._rawXrQuaternion);
   }
 
   _getDeviceInfo() {
@@ -567,6 +1078,7 @@ class VitureHID {
 
     return {
       model,
+      headsetId: this.headsetId,
       vendorId: this.device.vendorId,
       productId: this.device.productId,
       productName: this.device.productName
@@ -583,16 +1095,34 @@ class VitureHID {
     return () => this.callbacksRot.delete(callback);
   }
 
+  /**
+   * Subscribe to the raw gyroscope and accelerometer
+   * Callback receives ({ gyro, accel }, timestamp) before the orientation callbacks of the same packet
+   */
+  onImuData(callback) {
+    this.imuCallbacks.add(callback);
+    return () => this.imuCallbacks.delete(callback);
+  }
+
+  /**
+   * Subscribe to raw input reports
+   * Callback receives (bytes, deviceIndex, timestamp) for every report, valid or not
+   */
+  onInputReport(callback) {
+    this.reportCallbacks.add(callback);
+    return () => this.reportCallbacks.delete(callback);
+  }
+
   _notifyCallbacks() {
     const q = this.quaternion;
     const r = this.rotation;
-    this.callbacks.forEach(cb => cb(q));
-    this.callbacksRot.forEach(cb => cb(r));
+    this.callbacks.forEach(cb => cb(q, this.sampleTime));
+    this.callbacksRot.forEach(cb => cb(r, this.sampleTime));
 
     // Also notify extension for cross-tab sync
     window.postMessage({
       type: 'VITURE_ORIENTATION_UPDATE',
-      orientation: q,
+      orientation: this.xrQuaternion,
       rotation: r
     }, '*');
   }
@@ -601,10 +1131,72 @@ class VitureHID {
     return { ...this.quaternion };
   }
 
+  /**
+   * Recentered orientation for WebXR and the extension. With the same axis
+   * table it puts roll about X and pitch about Z, as earlier versions did,
+   * while getQuaternion() and the UDP output put pitch about X and roll about
+   * Z. Which of the two matches the glasses has not been checked on hardware,
+   * so WebXR is left unchanged until it has.
+   */
+  getXRQuaternion() {
+    return { ...this.xrQuaternion };
+  }
+
+  /**
+   * Orientation as the glasses report it, before recenter
+   */
+  getRawQuaternion() {
+    return { ...this._rawQuaternion };
+  }
+
   getQuaternionArray() {
     return [this.quaternion.x, this.quaternion.y, this.quaternion.z, this.quaternion.w];
   }
 }
 
+/**
+ * Group Viture HID interfaces into headsets
+ * Interfaces are grouped by headset ID: by serial number where the main
+ * process supplied it (see VitureHID.identifyInterfaces()), otherwise by
+ * vendor and product ID. Glasses of the same model without a serial number
+ * cannot be told apart and share one group. Such a group lists its interface
+ * layout (the collections) more than once, which headsetCount reports.
+ * @param {HIDDevice[]} devices
+ * @returns {Array<{id: string, productId: number, devices: HIDDevice[], headsetCount: number}>}
+ */
+function groupVitureInterfaces(devices) {
+  const groups = new Map();
+  for (const device of devices) {
+    const id = headsetIdOf(device);
+    if (!groups.has(id)) groups.set(id, { id, productId: device.productId, devices: [], headsetCount: 1 });
+    groups.get(id).devices.push(device);
+  }
+
+  for (const group of groups.values()) {
+    const layouts = new Map();
+    group.devices.forEach(device => {
+      const layout = JSON.stringify((device.collections || []).map(c => [c.usagePage, c.usage]));
+      layouts.set(layout, (layouts.get(layout) || 0) + 1);
+    });
+    group.headsetCount = Math.max(...layouts.values());
+  }
+
+  return [...groups.values()];
+}
+
+/**
+ * Identifies a headset across reconnects: vendor and product ID in hex and the
+ * serial number, e.g. "35ca:1019:V1A2B3", or only the model, "35ca:1019", while
+ * the serial number is unknown. The simulator poses as a Viture Pro and gets its own ID.
+ */
+function headsetIdOf(device) {
+  if (device.simulated) return 'simulator';
+  const model = `${device.vendorId.toString(16).padStart(4, '0')}:${device.productId.toString(16).padStart(4, '0')}`;
+  const serial = VitureHID._serialNumbers.get(device);
+  return serial ? `${model}:${serial}` : model;
+}
+
 // Make available globally in page context
 window.VitureHID = VitureHID;
+window.parseViturePacket = parseViturePacket;
+window.groupVitureInterfaces = groupVitureInterfaces;
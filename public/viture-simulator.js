@@ -0,0 +1,271 @@
+/**
+ * Simulated Viture Device
+ * A virtual headset that behaves like a WebHID device: it acknowledges MCU
+ * commands and streams 0xFF 0xFC IMU packets from a scripted motion source
+ * once the IMU has been enabled with command 0x15.
+ * The packets carry the angles and the matching gyroscope and accelerometer.
+ */
+
+const SIMULATOR_DEVICE_ID = 'viture-simulator';
+
+// Motion sources return the head pose in degrees for a time in seconds
+const SIMULATOR_MOTIONS = {
+  // Slow sweeps on all three axes with unrelated periods
+  sine: (t, options) => {
+    const w = 2 * Math.PI / options.period;
+    return {
+      yaw: options.amplitude * Math.sin(w * t),
+      pitch: options.amplitude * 0.5 * Math.sin(w * t / 1.3),
+      roll: options.amplitude * 0.25 * Math.sin(w * t / 1.7)
+    };
+  },
+
+  // Constant yaw rotation, wrapped to ±180°
+  spin: (t, options) => {
+    const yaw = ((options.spinRate * t + 180) % 360 + 360) % 360 - 180;
+    return { yaw, pitch: 0, roll: 0 };
+  },
+
+  fixed: (t, options) => ({ ...options.pose })
+};
+
+class SimulatedVitureDevice {
+  constructor(options = {}) {
+    this.vendorId = VitureHID.VENDOR_ID;
+    this.productId = VitureHID.PRODUCT_IDS.PRO[0];
+    this.productName = 'Viture Simulator';
+    this.collections = [];
+    this.opened = false;
+    this.simulated = true;
+
+    this.options = {
+      motion: 'sine',
+      amplitude: 30,
+      period: 4,
+      spinRate: 45,
+      pose: { yaw: 0, pitch: 0, roll: 0 },
+      rateHz: 90,
+      ...options
+    };
+
+    this._listeners = new Set();
+    this._imuTimer = null;
+    this._imuCounter = 0;
+    this._startTime = 0;
+    this._lastSample = null;   // { t, q } of the previous packet, for the angular velocity
+  }
+
+  async open() {
+    this.opened = true;
+  }
+
+  async close() {
+    this._stopImu();
+    this.opened = false;
+  }
+
+  addEventListener(type, listener) {
+    if (type === 'inputreport') this._listeners.add(listener);
+  }
+
+  removeEventListener(type, listener) {
+    if (type === 'inputreport') this._listeners.delete(listener);
+  }
+
+  configure(options) {
+    const rateChanged = options.rateHz !== undefined && options.rateHz !== this.options.rateHz;
+    this.options = { ...this.options, ...options };
+
+    if (rateChanged && this._imuTimer !== null) {
+      this._stopImu();
+      this._startImu();
+    }
+  }
+
+  async sendReport(reportId, data) {
+    if (!this.opened) {
+      throw new Error('Device is not open');
+    }
+
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data.buffer || data);
+
+    // Anything that is not a well-formed MCU packet is ignored, like the real MCU does
+    if (bytes.length < 19 || bytes[0] !== 0xFF || bytes[1] !== 0xFE) return;
+
+    const packet = parseViturePacket(bytes);
+    if (packet.error) {
+      debugWarn('Viture simulator: Dropping MCU packet with bad', packet.error);
+      return;
+    }
+
+    this._handleCommand(packet.cmdId, packet.msgCounter, packet.data);
+  }
+
+  _handleCommand(cmdId, msgCounter, payload) {
+    debugLog('Viture simulator: Command', cmdId.toString(16), 'data', Array.from(payload));
+
+    if (cmdId === VitureHID.MCU_COMMANDS.IMU_ENABLE) {
+      if (payload[0] === 0x01) {
+        this._startImu();
+      } else {
+        this._stopImu();
+      }
+    }
+
+    // Acknowledge with status 0 (success)
+    this._emit(buildViturePacket(0xFE, cmdId, msgCounter, new Uint8Array([0x00])));
+  }
+
+  _startImu() {
+    if (this._imuTimer !== null) return;
+
+    this._startTime = performance.now();
+    this._lastSample = null;
+    this._imuTimer = setInterval(() => this._emitImuPacket(), 1000 / this.options.rateHz);
+    console.log('Viture simulator: IMU streaming at', this.options.rateHz, 'Hz');
+  }
+
+  _stopImu() {
+    if (this._imuTimer === null) return;
+
+    clearInterval(this._imuTimer);
+    this._imuTimer = null;
+  }
+
+  _emitImuPacket() {
+    const t = (performance.now() - this._startTime) / 1000;
+    const motion = SIMULATOR_MOTIONS[this.options.motion] || SIMULATOR_MOTIONS.fixed;
+    const pose = motion(t, this.options);
+
+    // The same composition VitureHID uses for the device angles
+    const q = PoseMath.quatFromEuler(pose, 'ZYX');
+    const gyro = this._angularVelocity(t, q);
+
+    // Gravity reaction in the head frame: "up" seen from the rotated head
+    const up = PoseMath.rotateVector(PoseMath.quatConjugate(q), { x: 0, y: 1, z: 0 });
+
+    // Encode everything in raw payload order, the inverse of the model's default axis remap
+    const map = VitureHID.defaultAxisMap(this.productId);
+    const encode = (values) => {
+      const raw = [0, 0, 0];
+      for (const axis of ['yaw', 'pitch', 'roll']) {
+        raw[map[axis].source] = map[axis].sign * values[axis];
+      }
+      return raw;
+    };
+
+    const data = new Uint8Array(36);
+    const view = new DataView(data.buffer);
+    [
+      ...encode(pose),
+      ...encode({ pitch: gyro.x, yaw: gyro.y, roll: gyro.z }),
+      ...encode({ pitch: up.x, yaw: up.y, roll: up.z })
+    ].forEach((value, i) => view.setFloat32(i * 4, value, false));
+
+    this._imuCounter = (this._imuCounter + 1) & 0xFFFF;
+    this._emit(buildViturePacket(0xFC, 0, this._imuCounter, data));
+  }
+
+  /**
+   * Body angular velocity in °/s from the rotation since the previous packet
+   */
+  _angularVelocity(t, q) {
+    const last = this._lastSample;
+    this._lastSample = { t, q };
+    if (last === null || t <= last.t) return { x: 0, y: 0, z: 0 };
+
+    let dq = PoseMath.quatMultiply(PoseMath.quatConjugate(last.q), q);
+    if (dq.w < 0) dq = { w: -dq.w, x: -dq.x, y: -dq.y, z: -dq.z };
+
+    // Small rotations: angle ≈ 2 * |vector part|
+    const scale = 2 / (t - last.t) * 180 / Math.PI;
+    return { x: dq.x * scale, y: dq.y * scale, z: dq.z * scale };
+  }
+
+  _emit(packet) {
+    if (!this.opened) return;
+
+    // Real reports are padded to 64 bytes
+    const report = new Uint8Array(64);
+    report.set(packet);
+
+    const event = {
+      type: 'inputreport',
+      device: this,
+      reportId: 0,
+      data: new DataView(report.buffer),
+      timeStamp: performance.now()
+    };
+    this._listeners.forEach(listener => listener(event));
+  }
+}
+
+/**
+ * Makes the simulated device visible through navigator.hid once it has been
+ * picked in the device list
+ */
+const VitureSimulator = {
+  device: null,
+  authorized: false,
+  _installed: false,
+  _selected: false,
+  _options: {},
+
+  install() {
+    if (!VitureHID.isSupported() || this._installed) return;
+    this._installed = true;
+
+    const hid = navigator.hid;
+    const requestDevice = hid.requestDevice.bind(hid);
+    const getDevices = hid.getDevices.bind(hid);
+
+    hid.requestDevice = async (options) => {
+      const devices = await requestDevice(options);
+      if (!this._selected) return devices;
+
+      this._selected = false;
+      this.authorized = true;
+      return [...devices, this.getDevice()];
+    };
+
+    hid.getDevices = async () => {
+      const devices = await getDevices();
+      return this.authorized ? [...devices, this.getDevice()] : devices;
+    };
+  },
+
+  /**
+   * Call when the user picks the simulator in the device list, before the
+   * selection is sent to the main process
+   */
+  select() {
+    this._selected = true;
+  },
+
+  /**
+   * Make the simulator available without the device list, for the
+   * --simulator launch option
+   */
+  authorize() {
+    this.authorized = true;
+  },
+
+  getDevice() {
+    if (this.device === null) {
+      this.device = new SimulatedVitureDevice(this._options);
+    }
+    return this.device;
+  },
+
+  configure(options) {
+    this._options = { ...options };
+    if (this.device !== null) this.device.configure(options);
+  }
+};
+
+VitureSimulator.install();
+
+// Make available globally in page context
+window.SimulatedVitureDevice = SimulatedVitureDevice;
+window.VitureSimulator = VitureSimulator;
+window.SIMULATOR_DEVICE_ID = SIMULATOR_DEVICE_ID;
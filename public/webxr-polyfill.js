@@ -12,6 +12,21 @@ function debugLog(...args) {
 
 // import { VitureHID } from './viture-hid.js';
 
+// Optional NeckModel (see neck-model.js) that gives viewer poses a synthesized position
+let globalNeckModel = null;
+// Optional recenter of the whole app, used by recenter() instead of VitureHID.recenter() alone
+let globalRecenter = null;
+
+/**
+ * Head position in meters for an orientation, zero without an enabled neck model
+ */
+function headPosition(q) {
+  if (!globalNeckModel || !globalNeckModel.enabled) return { x: 0, y: 0, z: 0, w: 1 };
+
+  const offset = globalNeckModel.offset(q);
+  return { x: offset.x / 100, y: offset.y / 100, z: offset.z / 100, w: 1 };
+}
+
 class VitureXRSession {
   constructor(mode, viture) {
     this.mode = mode;
@@ -157,7 +172,7 @@ class VitureXRViewerPose {
     this.referenceSpace = referenceSpace;
 
     // Get quaternion from Viture device
-    const q = session.viture.connected ? session.viture.getQuaternion() : { x: 0, y: 0, z: 0, w: 1 };
+    const q = session.viture.connected ? session.viture.getXRQuaternion() : { x: 0, y: 0, z: 0, w: 1 };
 
     // Debug: Log quaternion periodically
     if (!VitureXRViewerPose._lastLog || (Date.now() - VitureXRViewerPose._lastLog > 1000)) {
@@ -165,10 +180,7 @@ class VitureXRViewerPose {
       VitureXRViewerPose._lastLog = Date.now();
     }
 
-    this.transform = new VitureXRRigidTransform(
-      { x: 0, y: 0, z: 0, w: 1 },
-      q
-    );
+    this.transform = new VitureXRRigidTransform(headPosition(q), q);
 
     // For stereo, create two views
     if (session.mode === 'immersive-vr') {
@@ -182,7 +194,7 @@ class VitureXRViewerPose {
   }
 
   get emulatedPosition() {
-    return true; // Position is emulated (3DoF only)
+    return true; // Position is emulated (3DoF only, at most synthesized by the neck model)
   }
 }
 
@@ -199,11 +211,17 @@ class VitureXRView {
     this._makePerspective(this.projectionMatrix, fov, aspect, 0.1, 1000);
 
     // View transform includes eye offset for stereo
-    const q = session.viture.connected ? session.viture.getQuaternion() : { x: 0, y: 0, z: 0, w: 1 };
+    const q = session.viture.connected ? session.viture.getXRQuaternion() : { x: 0, y: 0, z: 0, w: 1 };
     const eyeOffset = eye === 'left' ? -0.032 : (eye === 'right' ? 0.032 : 0);
+    const head = headPosition(q);
+
+    // Without a neck model keep the original unrotated eye offset
+    const eyePosition = globalNeckModel && globalNeckModel.enabled
+      ? PoseMath.rotateVector(q, { x: eyeOffset, y: 0, z: 0 })
+      : { x: eyeOffset, y: 0, z: 0 };
 
     this.transform = new VitureXRRigidTransform(
-      { x: eyeOffset, y: 0, z: 0, w: 1 },
+      { x: head.x + eyePosition.x, y: head.y + eyePosition.y, z: head.z + eyePosition.z, w: 1 },
       q
     );
 
@@ -444,6 +462,27 @@ class VitureXRSystem {
 // Global Viture instance
 let globalViture = null;
 let globalXRSystem = null;
+let existingConnection = Promise.resolve(false);
+// Further headsets tracked next to globalViture, which alone drives WebXR
+const additionalHeadsets = [];
+
+/**
+ * Open every free headset in its own VitureHID
+ * @returns {Promise<VitureHID[]>} The newly opened ones
+ */
+async function openAdditionalHeadsets() {
+  const opened = [];
+
+  while ((await VitureHID.freeInterfaces()).length > 0) {
+    const headset = new VitureHID();
+    if (!await headset.checkExistingConnection()) break;
+
+    additionalHeadsets.push(headset);
+    opened.push(headset);
+  }
+
+  return opened;
+}
 
 function initVitureWebXR() {
   if (globalViture) return globalXRSystem;
@@ -452,7 +491,10 @@ function initVitureWebXR() {
   globalXRSystem = new VitureXRSystem(globalViture);
 
   // Check for existing connection
-  globalViture.checkExistingConnection().catch(() => {});
+  existingConnection = globalViture.checkExistingConnection().catch((e) => {
+    debugLog('Viture: Checking for existing connections failed:', e);
+    return false;
+  });
 
   // Store original XR if exists
   const originalXR = navigator.xr;
@@ -562,5 +604,12 @@ function initVitureWebXR() {
 window.VitureWebXR = {
   init: initVitureWebXR,
   getViture: () => globalViture,
-  getXRSystem: () => globalXRSystem
+  getHeadsets: () => globalViture ? [globalViture, ...additionalHeadsets] : [],
+  openAdditionalHeadsets,
+  getXRSystem: () => globalXRSystem,
+  // Resolves true once previously authorized glasses have been reopened on startup
+  checkExistingConnection: () => existingConnection,
+  setNeckModel: (model) => { globalNeckModel = model; },
+  setRecenterHandler: (handler) => { globalRecenter = handler; },
+  recenter: () => globalRecenter ? globalRecenter() : globalViture.recenter()
 };
@@ -0,0 +1,228 @@
+/**
+ * Persistent settings store
+ * Owned by the main process, saved as versioned JSON in the user-data directory
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { EventEmitter } = require("events");
+const { sanitizeOutputs } = require("./outputs");
+
+const SETTINGS_VERSION = 3;
+
+function axisMapping(range) {
+  return {
+    multiplier: 1,
+    deadzone: 0,
+    curve: [[0, 0], [range, range]],
+    min: -range,
+    max: range,
+    invert: false
+  };
+}
+
+const DEFAULTS = {
+  version: SETTINGS_VERSION,
+  outputs: [
+    { host: "127.0.0.1", port: 5550, enabled: true, protocol: "ftnir" }
+  ],
+  send: {
+    mode: "sample",
+    rateHz: 60,
+    threshold: 0.05
+  },
+  position: { x: 0, y: 0, z: 50 },
+  neckModel: {
+    enabled: false,
+    neckLength: 10,
+    eyeOffset: 8
+  },
+  axisMap: null,
+  rotationOrder: "YXZ",
+  recenterHotkey: "Alt+Shift+R",
+  webSocket: {
+    enabled: false,
+    host: "127.0.0.1",
+    port: 8765
+  },
+  autoConnect: true,
+  lastDevice: null,
+  // Serial numbers of the glasses seen in the device list, by model ("35ca:1019")
+  headsetSerials: {},
+  // Per-headset overrides of the settings in SOURCE_SETTINGS (public/index.html), keyed by VitureHID.headsetId
+  sources: {},
+  mapping: {
+    yaw: axisMapping(180),
+    pitch: axisMapping(180),
+    roll: axisMapping(180),
+    x: axisMapping(100),
+    y: axisMapping(100),
+    z: axisMapping(100)
+  },
+  drift: {
+    enabled: false,
+    restThreshold: 1,
+    restTime: 2,
+    timeConstant: 20,
+    maxRate: 5
+  },
+  filter: {
+    type: "none",
+    ema: { alpha: 0.3 },
+    oneEuro: { minCutoff: 1, beta: 0.05, dCutoff: 1 },
+    kalman: { processNoise: 10000, measurementNoise: 0.25 },
+    axes: { yaw: true, pitch: true, roll: true, x: true, y: true, z: true }
+  },
+  fusion: {
+    enabled: false,
+    algorithm: "madgwick",
+    madgwick: { beta: 0.1 },
+    mahony: { kp: 0.5, ki: 0 }
+  },
+  simulator: {
+    motion: "sine",
+    amplitude: 30,
+    period: 4,
+    spinRate: 45,
+    pose: { yaw: 0, pitch: 0, roll: 0 },
+    rateHz: 90
+  }
+};
+
+// MIGRATIONS[n] upgrades a settings object from version n to n + 1.
+// Files written before versioning existed are treated as version 0.
+const MIGRATIONS = {
+  0: (data) => data,
+
+  // The yaw/pitch swap flag became a full axis remap table. Keep the exact
+  // output older versions produced: with the swap, yaw = raw2, pitch = -raw0
+  // and roll = -raw1; without it, yaw and pitch trade places.
+  1: ({ swapYawPitch, ...data }) => {
+    const swapped = swapYawPitch !== false;
+    data.axisMap = {
+      yaw: swapped ? { source: 2, sign: 1 } : { source: 0, sign: -1 },
+      pitch: swapped ? { source: 0, sign: -1 } : { source: 2, sign: 1 },
+      roll: { source: 1, sign: -1 }
+    };
+    return data;
+  },
+
+  // The fixed send interval became a send mode. Keep the fixed rate older versions used.
+  2: ({ sendIntervalMs, ...data }) => {
+    const interval = sendIntervalMs > 0 ? sendIntervalMs : 20;
+    data.send = { mode: "fixed", rateHz: Math.round(1000 / interval) };
+    return data;
+  }
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+// Objects merge key by key, arrays and primitives replace
+function deepMerge(target, patch) {
+  const result = { ...target };
+  for (const [key, value] of Object.entries(patch)) {
+    if (isPlainObject(value) && isPlainObject(result[key])) {
+      result[key] = deepMerge(result[key], value);
+    } else {
+      result[key] = clone(value);
+    }
+  }
+  return result;
+}
+
+function migrate(data) {
+  let version = Number.isInteger(data.version) ? data.version : 0;
+
+  if (version > SETTINGS_VERSION) {
+    console.warn(`Settings file version ${version} is newer than supported version ${SETTINGS_VERSION}`);
+    return data;
+  }
+
+  while (version < SETTINGS_VERSION) {
+    data = MIGRATIONS[version](data);
+    version++;
+    data.version = version;
+    console.log("Settings migrated to version", version);
+  }
+
+  return data;
+}
+
+class SettingsStore extends EventEmitter {
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+    this._data = clone(DEFAULTS);
+  }
+
+  load() {
+    let stored = null;
+
+    try {
+      stored = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+    } catch (e) {
+      if (e.code !== "ENOENT") {
+        console.warn("Settings file unreadable, using defaults:", e.message);
+        this._backupCorruptFile();
+      }
+    }
+
+    if (isPlainObject(stored)) {
+      const fromVersion = stored.version;
+      this._data = deepMerge(clone(DEFAULTS), migrate(stored));
+      // A hand-edited file can hold anything; invalid destinations are marked like those from the renderer
+      this._data.outputs = Array.isArray(this._data.outputs)
+        ? sanitizeOutputs(this._data.outputs.filter(isPlainObject))
+        : clone(DEFAULTS.outputs);
+      if (fromVersion !== this._data.version) this._save();
+    }
+
+    return this._data;
+  }
+
+  /**
+   * Current settings. The returned object is shared, treat it as read-only
+   * and change values through set().
+   */
+  get() {
+    return this._data;
+  }
+
+  set(patch) {
+    if (!isPlainObject(patch)) return this._data;
+
+    const { version, ...values } = patch;
+    this._data = deepMerge(this._data, values);
+    this._save();
+    this.emit("change", this._data);
+
+    return this._data;
+  }
+
+  _save() {
+    const tmpPath = this.filePath + ".tmp";
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(tmpPath, JSON.stringify(this._data, null, 2));
+      fs.renameSync(tmpPath, this.filePath);
+    } catch (e) {
+      console.warn("Failed to save settings:", e.message);
+    }
+  }
+
+  _backupCorruptFile() {
+    try {
+      fs.renameSync(this.filePath, this.filePath + ".corrupt");
+    } catch (e) {
+      // Nothing to keep
+    }
+  }
+}
+
+module.exports = { SettingsStore, SETTINGS_VERSION, DEFAULTS };
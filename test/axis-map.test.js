@@ -0,0 +1,68 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadPublic, FakeHIDDevice } = require("./helpers/load-public");
+
+const { VitureHID, buildViturePacket } = loadPublic(["viture-hid.js"]);
+
+// IMU packet with the raw angles as big-endian floats
+function imuPacket(raw0, raw1, raw2) {
+  const data = new Uint8Array(12);
+  const view = new DataView(data.buffer);
+  [raw0, raw1, raw2].forEach((value, i) => view.setFloat32(i * 4, value, false));
+  return buildViturePacket(0xFC, 0, 0, data);
+}
+
+function connected(productId) {
+  const viture = new VitureHID();
+  const device = new FakeHIDDevice({ productId });
+  device.addEventListener("inputreport", (event) => viture._handleInputReport(event, 0));
+  viture._allDevices = [device];
+  viture.device = device;
+  return { viture, device };
+}
+
+function assertQuaternion(actual, expected) {
+  for (const key of ["w", "x", "y", "z"]) {
+    assert.ok(Math.abs(actual[key] - expected[key]) < 1e-6, `${key}: ${actual[key]} != ${expected[key]}`);
+  }
+}
+
+test("every model has a default axis table", () => {
+  assert.deepStrictEqual(Object.keys(VitureHID.DEFAULT_AXIS_MAPS), Object.keys(VitureHID.PRODUCT_IDS));
+  for (const [model, ids] of Object.entries(VitureHID.PRODUCT_IDS)) {
+    for (const id of ids) {
+      assert.strictEqual(VitureHID.modelKey(id), model);
+      assert.strictEqual(VitureHID.defaultAxisMap(id), VitureHID.DEFAULT_AXIS_MAPS[model]);
+    }
+  }
+});
+
+test("the default table reproduces the UDP angles of earlier versions", () => {
+  const { viture, device } = connected(0x1019);
+  device.emit(imuPacket(10, 20, 30));
+
+  // Earlier versions sent yaw = raw2, pitch = -raw0 and roll = -raw1
+  const { yaw, pitch, roll } = viture.rotation;
+  assert.ok(Math.abs(yaw - 30) < 1e-4 && Math.abs(pitch + 10) < 1e-4 && Math.abs(roll + 20) < 1e-4);
+});
+
+test("the WebXR quaternion is the one earlier versions built", () => {
+  const { viture, device } = connected(0x1019);
+  device.emit(imuPacket(10, 20, 30));
+
+  // Earlier versions: -raw1 about X, raw2 about Y, -raw0 about Z
+  assertQuaternion(viture.getXRQuaternion(), viture._eulerToQuaternion(-20, 30, -10));
+  // The pipeline's quaternion turns pitch (-raw0) about X and roll (-raw1) about Z
+  assertQuaternion(viture.getQuaternion(), viture._eulerToQuaternion(-10, 30, -20));
+});
+
+test("recenter applies to the WebXR quaternion", () => {
+  const { viture, device } = connected(0x1019);
+  device.emit(imuPacket(10, 20, 30));
+  viture.recenter();
+
+  assertQuaternion(viture.getXRQuaternion(), { w: 1, x: 0, y: 0, z: 0 });
+  device.emit(imuPacket(10, 20, 40));
+  assertQuaternion(viture.getXRQuaternion(), viture._multiplyQuaternions(
+    viture._conjugateQuaternion(viture._eulerToQuaternion(-20, 30, -10)), viture._eulerToQuaternion(-20, 40, -10)));
+});
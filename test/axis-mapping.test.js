@@ -0,0 +1,63 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadPublic } = require("./helpers/load-public");
+
+const { ResponseCurve, AxisMapper } = loadPublic(["axis-mapping.js"]);
+
+function close(actual, expected, tolerance = 1e-9) {
+  assert.ok(Math.abs(actual - expected) < tolerance, `${actual} != ${expected}`);
+}
+
+function axis(options = {}) {
+  return { multiplier: 1, deadzone: 0, curve: [[0, 0], [180, 180]], min: -180, max: 180, invert: false, ...options };
+}
+
+test("the curve passes through its points and mirrors negative inputs", () => {
+  const curve = new ResponseCurve([[0, 0], [10, 2], [20, 10], [40, 40]]);
+  for (const [x, y] of [[0, 0], [10, 2], [20, 10], [40, 40]]) {
+    close(curve.evaluate(x), y);
+    close(curve.evaluate(-x), -y);
+  }
+});
+
+test("the curve continues with the slope of its last segment", () => {
+  const curve = new ResponseCurve([[0, 0], [10, 20]]);
+  close(curve.evaluate(15), 30);
+  close(curve.evaluate(-15), -30);
+});
+
+test("the curve does not overshoot between its points", () => {
+  const curve = new ResponseCurve([[0, 0], [1, 0], [2, 10], [3, 10]]);
+  let previous = -Infinity;
+  for (let x = 0; x <= 3; x += 0.01) {
+    const y = curve.evaluate(x);
+    assert.ok(y >= previous - 1e-9 && y >= -1e-9 && y <= 10 + 1e-9, `${y} at ${x}`);
+    previous = y;
+  }
+});
+
+test("the curve is anchored at the origin", () => {
+  const curve = new ResponseCurve([[10, 10], [20, 30]]);
+  close(curve.evaluate(0), 0);
+  close(curve.evaluate(20), 30);
+});
+
+test("deadzone, curve, multiplier, inversion and limits apply in that order", () => {
+  const mapper = new AxisMapper({ yaw: axis({ deadzone: 5, multiplier: 2, invert: true, min: -30, max: 30 }) });
+
+  assert.strictEqual(mapper.mapAxis("yaw", 10), -10);
+  assert.strictEqual(mapper.mapAxis("yaw", -10), 10);
+  assert.strictEqual(mapper.mapAxis("yaw", 100), -30);
+  // Inside the deadzone the output is 0, not -0
+  assert.ok(Object.is(mapper.mapAxis("yaw", 3), 0));
+});
+
+test("the mapper leaves unconfigured axes and missing values alone", () => {
+  const mapper = new AxisMapper({ pitch: axis({ multiplier: 0.5 }) });
+  const pose = mapper.map({ yaw: 40, pitch: 40, x: 1 });
+
+  assert.strictEqual(pose.yaw, 40);
+  close(pose.pitch, 20);
+  assert.strictEqual(pose.x, 1);
+  assert.ok(!("roll" in pose));
+});
@@ -0,0 +1,33 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { DevicePicker, addSerialNumbers } = require("../device-picker");
+
+// Two interfaces of one Viture Pro, as Electron lists them
+const PRO = [
+  { deviceId: "1", name: "VITURE Pro", vendorId: 0x35ca, productId: 0x1019, serialNumber: "V0001" },
+  { deviceId: "2", name: "VITURE Pro", vendorId: 0x35ca, productId: 0x1019, serialNumber: "V0001" }
+];
+const OTHER_PRO = { deviceId: "3", name: "VITURE Pro", vendorId: 0x35ca, productId: 0x1019, serialNumber: "V0002" };
+const KEYBOARD = { deviceId: "4", name: "Keyboard", vendorId: 0x046d, productId: 0xc31c, serialNumber: "K1" };
+
+test("serial numbers of listed glasses are added by model", () => {
+  const known = addSerialNumbers({}, [...PRO, OTHER_PRO, KEYBOARD]);
+  assert.deepStrictEqual(known, { "35ca:1019": ["V0001", "V0002"] });
+
+  // Nothing new keeps the same object, so nothing is saved
+  assert.strictEqual(addSerialNumbers(known, PRO), known);
+});
+
+test("the serial number of the picked glasses is kept", () => {
+  const picker = new DevicePicker();
+  picker.request([...PRO, OTHER_PRO], () => {}, null);
+  picker.select("3");
+  assert.strictEqual(picker.selectedSerialNumber, "V0002");
+
+  picker.request(PRO, () => {}, { vendorId: 0x35ca, productId: 0x1019, serialNumber: "V0001" });
+  assert.strictEqual(picker.selectedSerialNumber, "V0001");
+
+  picker.request(PRO, () => {}, null);
+  picker.cancel();
+  assert.strictEqual(picker.selectedSerialNumber, null);
+});
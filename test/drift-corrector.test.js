@@ -0,0 +1,64 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { loadPublic, FakeHIDDevice } = require("./helpers/load-public");
+
+const { VitureHID, VitureHIDReplayer, YawDriftCorrector, PoseMath } =
+  loadPublic(["viture-hid.js", "hid-recorder.js", "pose-math.js", "drift-corrector.js"]);
+
+// Synthetic, not recorded from real glasses: angle packets at 10 Hz whose yaw
+// drifts 3°/min with ±0.01° noise. The head is still except for a 40° look to
+// the left and back between 30 and 35 s. See the note in its header.
+const FIXTURE = path.join(__dirname, "fixtures", "synthetic-yaw-drift.vhr");
+const DRIFT_PER_MINUTE = 3;
+
+// The defaults from settings.js
+const CONFIG = { restThreshold: 1, restTime: 2, timeConstant: 20, maxRate: 5 };
+
+// Replay the fixture through VitureHID and the corrector, returning raw and corrected yaw per sample
+async function replay() {
+  const { reports } = VitureHIDReplayer.parse(fs.readFileSync(FIXTURE, "utf8"));
+  const viture = new VitureHID();
+  viture._allDevices = [new FakeHIDDevice()];
+  const drift = new YawDriftCorrector(CONFIG);
+
+  const samples = [];
+  viture.onOrientationChange((quaternion, timestamp) => {
+    const rotation = PoseMath.eulerFromQuat(quaternion, "YXZ");
+    const corrected = drift.update(rotation, timestamp);
+    samples.push({ t: timestamp / 1000, raw: rotation.yaw, yaw: corrected.yaw, atRest: drift.atRest });
+  });
+
+  await new VitureHIDReplayer(viture).play(reports, { speed: Infinity });
+  return { drift, samples };
+}
+
+const at = (samples, t) => samples.find(sample => sample.t >= t);
+
+test("learns the drift rate of the recording while the head is still", async () => {
+  const { drift, samples } = await replay();
+
+  assert.strictEqual(samples.length, 650);
+  assert.ok(Math.abs(drift.driftRatePerMinute - DRIFT_PER_MINUTE) < 0.3,
+    `learned ${drift.driftRatePerMinute}°/min`);
+
+  // Not at rest while looking left, so the 40° turn is not learned as drift
+  assert.ok(samples.filter(s => s.t > 30.5 && s.t < 34.5).every(s => !s.atRest));
+  assert.ok(at(samples, 40).atRest);
+});
+
+test("removes most of the yaw drift once learned", async () => {
+  const { drift, samples } = await replay();
+  const start = at(samples, 45), end = samples[samples.length - 1];
+
+  // Over the last 20 s raw yaw drifts 1°; more than 80% of that is removed
+  const rawChange = end.raw - start.raw;
+  const correctedChange = end.yaw - start.yaw;
+  assert.ok(Math.abs(rawChange - DRIFT_PER_MINUTE / 3) < 0.05, `raw yaw moved ${rawChange}°`);
+  assert.ok(Math.abs(correctedChange) < 0.2 * rawChange, `corrected yaw moved ${correctedChange}°`);
+
+  // The removed yaw is the accumulated correction
+  assert.ok(Math.abs(end.raw - end.yaw - drift.correction) < 1e-6);
+  assert.ok(drift.correction > 1, `removed ${drift.correction}°`);
+});
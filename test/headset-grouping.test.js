@@ -0,0 +1,115 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadPublic, FakeHIDDevice } = require("./helpers/load-public");
+
+const IMU_LAYOUT = [{ usagePage: 0xff00, usage: 0x01 }];
+const MCU_LAYOUT = [{ usagePage: 0xff00, usage: 0x02 }];
+
+function headset(productId, productName) {
+  return [IMU_LAYOUT, MCU_LAYOUT].map(collections => {
+    const device = new FakeHIDDevice({ productId, productName });
+    device.collections = collections;
+    return device;
+  });
+}
+
+// Arrays made in the sandbox have its prototypes; compare plain copies
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function sandbox(devices) {
+  const window = loadPublic(["viture-hid.js"]);
+  window.navigator.hid = { getDevices: async () => devices, addEventListener() {} };
+  return window;
+}
+
+test("glasses of different models become separate headsets", () => {
+  const pro = headset(0x1019, "VITURE Pro");
+  const luma = headset(0x1131, "VITURE Luma");
+  const { groupVitureInterfaces } = sandbox([]);
+
+  const groups = groupVitureInterfaces([pro[0], luma[0], pro[1], luma[1]]);
+  assert.deepStrictEqual(plain(groups.map(g => [g.id, g.devices.length, g.headsetCount])), [
+    ["35ca:1019", 2, 1],
+    ["35ca:1131", 2, 1]
+  ]);
+  assert.ok(groups[0].devices.every((device, i) => device === pro[i]));
+});
+
+test("glasses of the same model are reported, not told apart", () => {
+  const { groupVitureInterfaces } = sandbox([]);
+
+  const groups = groupVitureInterfaces([...headset(0x1019), ...headset(0x1019)]);
+  assert.strictEqual(groups.length, 1);
+  assert.strictEqual(groups[0].headsetCount, 2);
+});
+
+test("the simulator is a headset of its own", () => {
+  const { groupVitureInterfaces } = sandbox([]);
+  const simulator = new FakeHIDDevice({ simulated: true });
+
+  const groups = groupVitureInterfaces([...headset(0x1019), simulator]);
+  assert.deepStrictEqual(plain(groups.map(g => g.id)), ["35ca:1019", "simulator"]);
+});
+
+test("each instance claims a different headset and keeps its ID", async () => {
+  const devices = [...headset(0x1019), ...headset(0x1131)];
+  const { VitureHID } = sandbox(devices);
+  const first = new VitureHID();
+  const second = new VitureHID();
+
+  const [a, b] = await Promise.all([first._claimHeadset(), second._claimHeadset()]);
+  assert.deepStrictEqual([a.id, b.id], ["35ca:1019", "35ca:1131"]);
+  assert.strictEqual((await VitureHID.freeInterfaces()).length, 0);
+  assert.strictEqual(await new VitureHID()._claimHeadset(), null);
+
+  // Reconnecting asks for the same headset again
+  a.devices.forEach(device => VitureHID._claimed.delete(device));
+  const again = new VitureHID();
+  again.headsetId = "35ca:1019";
+  assert.strictEqual((await again._claimHeadset()).id, "35ca:1019");
+});
+
+test("interfaces tagged with a serial number become separate headsets", () => {
+  const { VitureHID, groupVitureInterfaces } = sandbox([]);
+  const [a, b] = [headset(0x1019), headset(0x1019)];
+  a.forEach(device => VitureHID._serialNumbers.set(device, "V0001"));
+  b.forEach(device => VitureHID._serialNumbers.set(device, "V0002"));
+
+  const groups = groupVitureInterfaces([a[0], b[0], a[1], b[1]]);
+  assert.deepStrictEqual(plain(groups.map(g => [g.id, g.devices.length, g.headsetCount])), [
+    ["35ca:1019:V0001", 2, 1],
+    ["35ca:1019:V0002", 2, 1]
+  ]);
+});
+
+test("reopened glasses take the only known serial number of their model not in use", async () => {
+  const [a, b] = [headset(0x1019), headset(0x1019)];
+  const { VitureHID } = sandbox([...a, ...b]);
+  const serials = { selected: null, byModel: { "35ca:1019": ["V0001", "V0002"] } };
+  VitureHID.serialNumbers = async () => serials;
+
+  // Two untagged headsets of one model are ambiguous
+  VitureHID.identifyInterfaces([...a, ...b], serials);
+  assert.strictEqual(VitureHID._serialNumbers.has(a[0]), false);
+
+  // Once the picked glasses are claimed, the other ones can only be the second serial number
+  a.forEach(device => VitureHID._serialNumbers.set(device, "V0001"));
+  const first = new VitureHID();
+  first.headsetId = "35ca:1019:V0001";
+  assert.strictEqual((await first._claimHeadset()).id, "35ca:1019:V0001");
+  assert.strictEqual((await new VitureHID()._claimHeadset()).id, "35ca:1019:V0002");
+});
+
+test("replugged glasses get the serial number of the headset being reconnected", async () => {
+  const replugged = headset(0x1019);
+  const { VitureHID } = sandbox(replugged);
+  VitureHID.serialNumbers = async () => ({ selected: null, byModel: { "35ca:1019": ["V0001", "V0002"] } });
+
+  const headsetHID = new VitureHID();
+  headsetHID.headsetId = "35ca:1019:V0002";
+  const group = await headsetHID._claimHeadset();
+  assert.strictEqual(group.id, "35ca:1019:V0002");
+  assert.ok(replugged.every(device => VitureHID._serialNumbers.get(device) === "V0002"));
+});
@@ -0,0 +1,79 @@
+/**
+ * Loads the renderer's classic scripts from public/ into a sandbox, the way
+ * index.html loads them, so they can be tested in Node
+ */
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const PUBLIC_DIR = path.join(__dirname, "..", "..", "public");
+
+/**
+ * @param {string[]} files - Scripts in public/, in the order index.html loads them
+ * @returns {object} The sandbox's window, holding the globals the scripts define
+ */
+function loadPublic(files) {
+  const context = {
+    console: { ...console, log() {}, warn() {} },
+    setTimeout, clearTimeout, setInterval, clearInterval,
+    performance, TextEncoder, TextDecoder, EventTarget, Event,
+    navigator: {},
+    requestAnimationFrame: () => 0,
+    cancelAnimationFrame: () => {},
+    postMessage: () => {},
+    addEventListener: () => {}
+  };
+  context.window = context;
+  vm.createContext(context);
+
+  for (const file of files) {
+    const source = fs.readFileSync(path.join(PUBLIC_DIR, file), "utf8");
+    vm.runInContext(source, context, { filename: file });
+  }
+  return context;
+}
+
+/**
+ * Stand-in for an opened HIDDevice. Sent reports are kept in `sent`; `reply`
+ * may answer them through emit().
+ */
+class FakeHIDDevice extends EventTarget {
+  constructor({ productId = 0x1019, productName = "VITURE Pro", simulated = false, reply = null } = {}) {
+    super();
+    this.vendorId = 0x35ca;
+    this.productId = productId;
+    this.productName = productName;
+    this.collections = [];
+    this.opened = true;
+    this.simulated = simulated;
+    this.sent = [];
+    this._reply = reply;
+  }
+
+  async open() {
+    this.opened = true;
+  }
+
+  async close() {
+    this.opened = false;
+  }
+
+  async sendReport(reportId, data) {
+    this.sent.push(Uint8Array.from(data));
+    if (this._reply) setTimeout(() => this._reply(Uint8Array.from(data), this), 0);
+  }
+
+  emit(bytes, timeStamp = performance.now()) {
+    const event = new Event("inputreport");
+    event.data = new DataView(Uint8Array.from(bytes).buffer);
+    Object.defineProperty(event, "timeStamp", { value: timeStamp });
+    this.dispatchEvent(event);
+  }
+}
+
+function hex(bytes) {
+  return Array.from(bytes).map(b => b.toString(16).padStart(2, "0")).join(" ");
+}
+
+module.exports = { loadPublic, FakeHIDDevice, hex };
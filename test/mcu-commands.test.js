@@ -0,0 +1,53 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadPublic, FakeHIDDevice, hex } = require("./helpers/load-public");
+
+const { VitureHID, buildViturePacket, parseViturePacket, calcCrc16 } = loadPublic(["viture-hid.js"]);
+
+// Answers every command with status 0, like the MCU does
+function mcu(viture) {
+  const device = new FakeHIDDevice({
+    simulated: true,
+    reply: (packet, self) => {
+      const request = parseViturePacket(packet);
+      self.emit(buildViturePacket(0xFE, request.cmdId, request.msgCounter, new Uint8Array([0])));
+    }
+  });
+  device.addEventListener("inputreport", (event) => viture._handleInputReport(event, 0));
+  viture._allDevices = [device];
+  viture.mcuDevice = device;
+  return device;
+}
+
+test("CRC is CRC-16/CCITT-FALSE", () => {
+  const check = new TextEncoder().encode("123456789");
+  assert.strictEqual(calcCrc16(check, 0, check.length), 0x29B1);
+});
+
+test("IMU enable packet matches the bytes the bridge has always sent", () => {
+  assert.strictEqual(hex(buildViturePacket(0xFE, 0x15, 1, new Uint8Array([0x01]))),
+    "ff fe 97 57 0e 00 00 00 00 00 00 00 00 00 15 00 01 00 01 03");
+});
+
+test("commands are encoded with the message counter and data", async () => {
+  const viture = new VitureHID();
+  const device = mcu(viture);
+
+  await viture.sendCommand(VitureHID.MCU_COMMANDS.IMU_ENABLE, [0x01]);
+  await viture.sendCommand(VitureHID.MCU_COMMANDS.IMU_ENABLE, [0x00]);
+
+  assert.deepStrictEqual(device.sent.map(hex), [
+    "ff fe 97 57 0e 00 00 00 00 00 00 00 00 00 15 00 01 00 01 03",
+    "ff fe 3f ba 0e 00 00 00 00 00 00 00 00 00 15 00 02 00 00 03"
+  ]);
+});
+
+test("the reply is resolved with the packet of the same command and counter", async () => {
+  const viture = new VitureHID();
+  mcu(viture);
+
+  const reply = await viture.sendCommand(VitureHID.MCU_COMMANDS.IMU_ENABLE, [0x01]);
+  assert.strictEqual(reply.cmdId, VitureHID.MCU_COMMANDS.IMU_ENABLE);
+  assert.strictEqual(reply.msgCounter, 1);
+  assert.deepStrictEqual(Array.from(reply.data), [0]);
+});
@@ -0,0 +1,59 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const osc = require("../osc");
+const { encodeOsc } = require("../outputs");
+
+// Bundle header: "#bundle" and the "immediately" time tag
+const BUNDLE = "2362756e646c6500" + "0000000000000001";
+
+const POSE = { x: 1, y: 2, z: 3, yaw: 90, pitch: -45, roll: 0.5, quaternion: { w: 1, x: 0, y: 0, z: 0 } };
+
+test("strings are null-terminated and padded to four bytes", () => {
+  // "/a" needs two bytes of padding, "/abc" a whole extra word for its terminator
+  assert.strictEqual(osc.encodeMessage("/a").toString("hex"), "2f610000" + "2c000000");
+  assert.strictEqual(osc.encodeMessage("/abc").toString("hex"), "2f61626300000000" + "2c000000");
+});
+
+test("arguments are big-endian with their type tags", () => {
+  const message = osc.encodeMessage("/t", [
+    { type: "i", value: -2 },
+    { type: "f", value: 1.5 },
+    { type: "d", value: 1.5 },
+    { type: "s", value: "ok" }
+  ]);
+
+  assert.strictEqual(message.toString("hex"),
+    "2f740000" + "2c696664" + "73000000" + "fffffffe" + "3fc00000" + "3ff8000000000000" + "6f6b0000");
+});
+
+test("unsupported type tags are refused", () => {
+  assert.throws(() => osc.encodeMessage("/t", [{ type: "b", value: Buffer.alloc(1) }]), /Unsupported OSC type tag: b/);
+});
+
+test("bundle elements are prefixed with their size", () => {
+  const element = osc.encodeMessage("/a");
+  assert.strictEqual(osc.encodeBundle([element, element]).toString("hex"),
+    BUNDLE + "00000008" + element.toString("hex") + "00000008" + element.toString("hex"));
+});
+
+test("poses are sent as rotation and position messages in one bundle", () => {
+  const packet = encodeOsc(POSE, {});
+  const rotation = osc.encodeMessage("/head/rotation", [90, -45, 0.5].map(value => ({ type: "f", value })));
+  const position = osc.encodeMessage("/head/position", [1, 2, 3].map(value => ({ type: "f", value })));
+
+  assert.strictEqual(packet.toString("hex"), BUNDLE +
+    rotation.length.toString(16).padStart(8, "0") + rotation.toString("hex") +
+    position.length.toString(16).padStart(8, "0") + position.toString("hex"));
+});
+
+test("the rotation can be a float64 quaternion and the position left out", () => {
+  const packet = encodeOsc(POSE, { rotationFormat: "quaternion", valueType: "d", positionAddress: "" });
+  const rotation = osc.encodeMessage("/head/rotation", [0, 0, 0, 1].map(value => ({ type: "d", value })));
+
+  assert.strictEqual(packet.toString("hex"), BUNDLE + "00000038" + rotation.toString("hex"));
+});
+
+test("nothing is encoded for a quaternion rotation without a quaternion", () => {
+  const { quaternion, ...euler } = POSE;
+  assert.strictEqual(encodeOsc(euler, { rotationFormat: "quaternion" }), null);
+});
@@ -0,0 +1,71 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { sanitizeOutputs, sendPose, sendVmcStatus } = require("../outputs");
+
+const POSE = { x: 0, y: 0, z: 0, yaw: 10, pitch: 0, roll: 0, quaternion: { w: 1, x: 0, y: 0, z: 0 } };
+
+// Records what would be sent instead of sending it
+function fakeUdp() {
+  return { sent: [], send(packet, offset, length, port, host) { this.sent.push({ host, port }); } };
+}
+
+test("invalid destinations are kept with the reason", () => {
+  const outputs = sanitizeOutputs([
+    { host: "127.0.0.1", port: 5550, protocol: "ftnir" },
+    { host: " ", port: 5551, protocol: "ftnir" },
+    { host: "127.0.0.1", port: null, protocol: "ftnir" },
+    { host: "127.0.0.1", port: 70000, protocol: "vmc" },
+    { host: "127.0.0.1", port: 9000, protocol: "osc", osc: { rotationAddress: "head rotation" } }
+  ]);
+
+  assert.strictEqual(outputs.length, 5);
+  assert.deepStrictEqual(outputs.map(o => o.error && o.error.field),
+    [null, "host", "port", "port", "rotationAddress"]);
+  assert.ok(outputs.every(o => o.enabled));
+});
+
+test("OSC addresses only matter for OSC destinations", () => {
+  const [output] = sanitizeOutputs([
+    { host: "127.0.0.1", port: 5550, protocol: "ftnir", osc: { rotationAddress: "head rotation" } }
+  ]);
+  assert.strictEqual(output.error, null);
+});
+
+test("nothing is sent to invalid destinations", () => {
+  const outputs = sanitizeOutputs([
+    { host: "127.0.0.1", port: 5550, protocol: "vmc" },
+    { host: "", port: 5551, protocol: "vmc" },
+    { host: "127.0.0.1", port: 0, protocol: "vmc" }
+  ]);
+  const udp = fakeUdp();
+
+  assert.strictEqual(sendPose(udp, POSE, outputs), 1);
+  sendVmcStatus(udp, outputs, 1, true);
+  assert.deepStrictEqual(udp.sent, [{ host: "127.0.0.1", port: 5550 }, { host: "127.0.0.1", port: 5550 }]);
+});
+
+test("a send that throws does not stop the other destinations", () => {
+  const outputs = sanitizeOutputs([
+    { host: "127.0.0.1", port: 5550, protocol: "ftnir" },
+    { host: "127.0.0.1", port: 5551, protocol: "ftnir" }
+  ]);
+  const udp = fakeUdp();
+  const send = udp.send;
+  udp.send = function (packet, offset, length, port, host) {
+    if (port === 5550) throw new RangeError("Port should be > 0 and < 65536");
+    return send.apply(this, arguments);
+  };
+
+  assert.doesNotThrow(() => sendPose(udp, POSE, outputs));
+  assert.deepStrictEqual(udp.sent, [{ host: "127.0.0.1", port: 5551 }]);
+});
+
+test("VMC destinations without a port get the VMC default port", () => {
+  const outputs = sanitizeOutputs([
+    { host: "127.0.0.1", port: null, protocol: "vmc" },
+    { host: "127.0.0.1", port: 40000, protocol: "vmc" },
+    { host: "127.0.0.1", port: null, protocol: "ftnir" }
+  ]);
+  assert.deepStrictEqual(outputs.map(o => o.port), [39539, 40000, 0]);
+  assert.deepStrictEqual(outputs.map(o => o.error && o.error.field), [null, null, "port"]);
+});
@@ -0,0 +1,78 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadPublic, FakeHIDDevice } = require("./helpers/load-public");
+
+const { VitureHID, buildViturePacket } = loadPublic(["viture-hid.js"]);
+
+// IMU packet with the raw angles as big-endian floats
+function imuPacket(raw0, raw1, raw2) {
+  const data = new Uint8Array(12);
+  const view = new DataView(data.buffer);
+  [raw0, raw1, raw2].forEach((value, i) => view.setFloat32(i * 4, value, false));
+  return buildViturePacket(0xFC, 0, 0, data);
+}
+
+function connected() {
+  const viture = new VitureHID();
+  const device = new FakeHIDDevice();
+  device.addEventListener("inputreport", (event) => viture._handleInputReport(event, 0));
+  viture._allDevices = [device];
+  viture.device = device;
+  return { viture, device };
+}
+
+test("valid IMU packets are counted as good and update the orientation", () => {
+  const { viture, device } = connected();
+
+  device.emit(imuPacket(0, 0, 30));
+  const [stats] = viture.getPacketStats();
+  assert.strictEqual(stats.good, 1);
+  assert.strictEqual(stats.corrupt, 0);
+  assert.ok(Math.abs(viture.rotation.yaw - 30) < 1e-4);
+});
+
+test("IMU packets with a bad CRC are counted and dropped", () => {
+  const { viture, device } = connected();
+  const packet = imuPacket(0, 0, 45);
+  packet[2] ^= 0xFF;
+
+  device.emit(packet);
+  const [stats] = viture.getPacketStats();
+  assert.strictEqual(stats.corrupt, 1);
+  assert.strictEqual(stats.good, 0);
+  assert.strictEqual(stats.lastError, "crc");
+  assert.strictEqual(viture.rotation.yaw, 0);
+});
+
+test("IMU packets with a bad end marker or length are counted and dropped", () => {
+  const { viture, device } = connected();
+  const badEnd = imuPacket(0, 0, 10);
+  badEnd[badEnd.length - 1] = 0x00;
+  const badLength = imuPacket(0, 0, 20);
+  badLength[4] = 0xFF;
+
+  device.emit(badEnd);
+  device.emit(badLength);
+  assert.strictEqual(viture.rotation.yaw, 0);
+  assert.strictEqual(viture.getPacketStats()[0].corrupt, 2);
+});
+
+test("a corrupt packet with out-of-range angles is only counted as corrupt", () => {
+  const { viture, device } = connected();
+  const packet = imuPacket(0, 0, 500);
+  packet[3] ^= 0xFF;
+
+  device.emit(packet);
+  const [stats] = viture.getPacketStats();
+  assert.strictEqual(stats.corrupt, 1);
+  assert.strictEqual(stats.outOfRange, 0);
+});
+
+test("angles outside ±180° are dropped", () => {
+  const { viture, device } = connected();
+
+  device.emit(imuPacket(0, 0, 500));
+  assert.strictEqual(viture.getPacketStats()[0].outOfRange, 1);
+  assert.strictEqual(viture.getPacketStats()[0].corrupt, 0);
+  assert.strictEqual(viture.rotation.yaw, 0);
+});
@@ -0,0 +1,75 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadPublic } = require("./helpers/load-public");
+
+const { EmaFilter, OneEuroFilter, KalmanFilter, PoseFilter, QuaternionFilter } =
+  loadPublic(["pose-math.js", "pose-filters.js"]);
+
+const DT = 0.01;
+
+function close(actual, expected, tolerance = 1e-9) {
+  assert.ok(Math.abs(actual - expected) < tolerance, `${actual} != ${expected}`);
+}
+
+// Feed value(t) at 100 Hz for the given number of samples, returning the last output
+function run(filter, samples, value) {
+  let output;
+  for (let i = 0; i < samples; i++) output = filter.filter(value(i * DT), i === 0 ? 0 : DT);
+  return output;
+}
+
+test("EMA moves alpha of the way to each new value", () => {
+  const ema = new EmaFilter({ alpha: 0.3 });
+  assert.strictEqual(ema.filter(0), 0);
+  close(ema.filter(10), 3);
+  close(ema.filter(10), 5.1);
+
+  ema.reset();
+  assert.strictEqual(ema.filter(7), 7);
+});
+
+test("One Euro smooths at rest and follows faster with beta", () => {
+  const slow = new OneEuroFilter({ minCutoff: 1, beta: 0 });
+  assert.strictEqual(slow.filter(0, 0), 0);
+  // Cutoff 1 Hz at 100 Hz: alpha = 1 / (1 + 1 / (2π · 0.01))
+  close(slow.filter(10, DT), 10 / (1 + 1 / (2 * Math.PI * DT)));
+
+  const ramp = t => 100 * t;
+  const lagSlow = ramp(0.99) - run(new OneEuroFilter({ minCutoff: 1, beta: 0 }), 100, ramp);
+  const lagFast = ramp(0.99) - run(new OneEuroFilter({ minCutoff: 1, beta: 1 }), 100, ramp);
+  assert.ok(lagFast < lagSlow / 5, `lag ${lagFast} with beta, ${lagSlow} without`);
+});
+
+test("Kalman settles on a constant and follows a ramp without lag", () => {
+  close(run(new KalmanFilter(), 100, () => 5), 5, 1e-6);
+
+  const ramp = t => 30 * t;
+  const output = run(new KalmanFilter({ processNoise: 100, measurementNoise: 0.25 }), 300, ramp);
+  close(output, ramp(2.99), 0.05);
+});
+
+test("the pose filter smooths the enabled position axes only", () => {
+  const filter = new PoseFilter({ type: "ema", ema: { alpha: 0.5 }, axes: { x: true, y: false, z: true } });
+  filter.filter({ x: 0, y: 0, z: 0, yaw: 0 }, 0);
+
+  const pose = filter.filter({ x: 10, y: 10, z: 10, yaw: 10 }, 10);
+  assert.deepStrictEqual({ ...pose }, { x: 5, y: 10, z: 5, yaw: 10 });
+
+  // After a gap of more than a second the filters start over
+  assert.strictEqual(filter.filter({ x: 20, y: 0, z: 0 }, 2000).x, 20);
+});
+
+test("no filter passes the pose through", () => {
+  const pose = { x: 1, y: 2, z: 3 };
+  assert.strictEqual(new PoseFilter({ type: "none", axes: {} }).filter(pose, 0), pose);
+});
+
+test("the quaternion filter treats q and -q as the same rotation", () => {
+  const filter = new QuaternionFilter({ type: "ema", ema: { alpha: 0.5 } });
+  const half = Math.PI / 8;
+  const q = { w: Math.cos(half), x: 0, y: Math.sin(half), z: 0 };
+
+  filter.filter(q, 0);
+  const output = filter.filter({ w: -q.w, x: -q.x, y: -q.y, z: -q.z }, 10);
+  for (const key of ["w", "x", "y", "z"]) close(output[key], q[key], 1e-9);
+});
@@ -0,0 +1,105 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadPublic } = require("./helpers/load-public");
+
+// Runs the scheduler on a fake clock: advance() moves performance.now() and fires due intervals
+function clock() {
+  const window = loadPublic(["pose-math.js", "axis-mapping.js", "send-scheduler.js"]);
+  let now = 0;
+  const timers = new Map();
+  let nextId = 1;
+
+  window.performance = { now: () => now };
+  window.setInterval = (callback, ms) => {
+    timers.set(nextId, { callback, ms, due: now + ms });
+    return nextId++;
+  };
+  window.clearInterval = id => timers.delete(id);
+
+  window.advance = (ms) => {
+    const end = now + ms;
+    for (;;) {
+      const next = [...timers.values()].sort((a, b) => a.due - b.due)[0];
+      if (!next || next.due > end) break;
+      now = next.due;
+      next.due += next.ms;
+      next.callback();
+    }
+    now = end;
+  };
+  return window;
+}
+
+function pose(yaw, options = {}) {
+  return { yaw, pitch: 0, roll: 0, x: 0, y: 0, z: 0, ...options };
+}
+
+test("sample mode sends every pose while running", () => {
+  const { SendScheduler } = clock();
+  const sent = [];
+  const scheduler = new SendScheduler(p => sent.push(p.yaw), { mode: "sample", rateHz: 60, threshold: 0.05 });
+
+  scheduler.push(pose(1));
+  scheduler.start();
+  scheduler.push(pose(2));
+  scheduler.push(pose(3));
+  scheduler.stop();
+  scheduler.push(pose(4));
+
+  assert.deepStrictEqual(sent, [2, 3]);
+});
+
+test("change mode sends only when an axis moved more than the threshold", () => {
+  const { SendScheduler } = clock();
+  const sent = [];
+  const scheduler = new SendScheduler(p => sent.push(p.yaw), { mode: "change", rateHz: 60, threshold: 5 });
+  scheduler.start();
+
+  // 179° to -179° is a 2° turn across the seam, not 358°
+  [179, 182, -179, 170, 171, 164].forEach(yaw => scheduler.push(pose(yaw)));
+  scheduler.push(pose(164, { z: 6 }));
+
+  assert.deepStrictEqual(sent, [179, 170, 164, 164]);
+});
+
+test("fixed mode sends the latest pose at the rate until poses stop", () => {
+  const { SendScheduler, advance } = clock();
+  const sent = [];
+  const scheduler = new SendScheduler(p => sent.push(p.yaw), { mode: "fixed", rateHz: 10, threshold: 0.05 });
+  scheduler.start();
+
+  // Nothing to send yet
+  advance(100);
+  scheduler.push(pose(1));
+  scheduler.push(pose(2));
+  advance(200);
+  assert.deepStrictEqual(sent, [2, 2]);
+
+  // Sent up to 500 ms after the last pose arrived, at 400, 500 and 600 ms
+  advance(1000);
+  assert.strictEqual(sent.length, 5);
+
+  // A new rate restarts the timer
+  scheduler.configure({ mode: "fixed", rateHz: 20, threshold: 0.05 });
+  scheduler.push(pose(3));
+  advance(100);
+  assert.deepStrictEqual(sent.slice(5), [3, 3]);
+
+  scheduler.stop();
+  advance(1000);
+  assert.strictEqual(sent.length, 7);
+});
+
+test("rates count the poses of the last second", () => {
+  const { SendScheduler, advance } = clock();
+  const scheduler = new SendScheduler(() => {}, { mode: "sample", rateHz: 60, threshold: 0.05 });
+  scheduler.start();
+
+  for (let i = 0; i < 30; i++) {
+    scheduler.push(pose(i));
+    advance(50);
+  }
+  // 1.5 s of poses every 50 ms: the last second holds 20
+  assert.strictEqual(scheduler.inputRate.rate, 20);
+  assert.strictEqual(scheduler.outputRate.rate, 20);
+});
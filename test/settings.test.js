@@ -0,0 +1,105 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { SettingsStore, SETTINGS_VERSION, DEFAULTS } = require("../settings");
+
+// The remap table settings.js migrates the old swap flag to
+const SWAPPED = { yaw: { source: 2, sign: 1 }, pitch: { source: 0, sign: -1 }, roll: { source: 1, sign: -1 } };
+const UNSWAPPED = { yaw: { source: 0, sign: -1 }, pitch: { source: 2, sign: 1 }, roll: { source: 1, sign: -1 } };
+
+// Load a settings file with the given contents from a fresh directory.
+// Returns the loaded settings and the file as it is afterwards.
+function loadFile(contents) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "viture-settings-"));
+  const file = path.join(dir, "settings.json");
+  fs.writeFileSync(file, typeof contents === "string" ? contents : JSON.stringify(contents));
+  try {
+    const settings = new SettingsStore(file).load();
+    const saved = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : null;
+    return { settings, saved, files: fs.readdirSync(dir).sort() };
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+function load(contents) {
+  return loadFile(contents).settings;
+}
+
+test("a version 0 file with the swap flag gets the swapped axis table and its send interval", () => {
+  const { settings, saved } = loadFile({ swapYawPitch: true, sendIntervalMs: 10, autoConnect: false });
+
+  assert.strictEqual(settings.version, SETTINGS_VERSION);
+  assert.deepStrictEqual(settings.axisMap, SWAPPED);
+  assert.deepStrictEqual(settings.send, { mode: "fixed", rateHz: 100, threshold: DEFAULTS.send.threshold });
+  assert.strictEqual(settings.autoConnect, false);
+  assert.ok(!("swapYawPitch" in settings) && !("sendIntervalMs" in settings));
+
+  // The migrated settings are written back
+  assert.deepStrictEqual(saved, settings);
+});
+
+test("a version 0 file without the swap flag keeps the swapped layout older versions defaulted to", () => {
+  const settings = load({ outputs: [{ host: "127.0.0.1", port: 5550 }] });
+
+  assert.deepStrictEqual(settings.axisMap, SWAPPED);
+  // Older versions sent every 20 ms
+  assert.deepStrictEqual(settings.send, { mode: "fixed", rateHz: 50, threshold: DEFAULTS.send.threshold });
+});
+
+test("a version 1 file with the swap turned off gets the unswapped axis table", () => {
+  const settings = load({ version: 1, swapYawPitch: false, sendIntervalMs: 33 });
+
+  assert.deepStrictEqual(settings.axisMap, UNSWAPPED);
+  assert.deepStrictEqual(settings.send, { mode: "fixed", rateHz: 30, threshold: DEFAULTS.send.threshold });
+});
+
+test("a version 2 file keeps its axis table and turns the send interval into a fixed rate", () => {
+  const axisMap = { yaw: { source: 1, sign: 1 }, pitch: { source: 0, sign: 1 }, roll: { source: 2, sign: -1 } };
+  const settings = load({ version: 2, axisMap, sendIntervalMs: 0 });
+
+  assert.deepStrictEqual(settings.axisMap, axisMap);
+  assert.deepStrictEqual(settings.send, { mode: "fixed", rateHz: 50, threshold: DEFAULTS.send.threshold });
+  assert.ok(!("sendIntervalMs" in settings));
+});
+
+test("a current file is not migrated or rewritten", () => {
+  const send = { mode: "change", rateHz: 60, threshold: 0.5 };
+  const { settings, saved } = loadFile({ version: SETTINGS_VERSION, send });
+
+  assert.deepStrictEqual(settings.send, send);
+  assert.strictEqual(settings.axisMap, null);
+  assert.deepStrictEqual(saved, { version: SETTINGS_VERSION, send });
+});
+
+test("a file from a newer version is loaded without migrating", () => {
+  const settings = load({ version: SETTINGS_VERSION + 1, swapYawPitch: true });
+
+  assert.strictEqual(settings.version, SETTINGS_VERSION + 1);
+  assert.strictEqual(settings.swapYawPitch, true);
+  assert.strictEqual(settings.axisMap, null);
+});
+
+test("an unreadable file is kept aside and the defaults are used", () => {
+  const { settings, files } = loadFile("{ not json");
+
+  assert.deepStrictEqual(settings, DEFAULTS);
+  assert.deepStrictEqual(files, ["settings.json.corrupt"]);
+});
+
+test("stored destinations are validated on load", () => {
+  const settings = load({
+    version: 3,
+    outputs: [
+      { host: "127.0.0.1", port: 5550, protocol: "ftnir" },
+      { host: "127.0.0.1", port: "abc", protocol: "ftnir" },
+      null
+    ]
+  });
+
+  assert.strictEqual(settings.outputs.length, 2);
+  assert.strictEqual(settings.outputs[0].error, null);
+  assert.strictEqual(settings.outputs[1].error.field, "port");
+});
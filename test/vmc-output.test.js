@@ -0,0 +1,66 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const dgram = require("dgram");
+const { sendPose, sendVmcStatus } = require("../outputs");
+
+// Bundle header: "#bundle" and the "immediately" time tag
+const BUNDLE = "2362756e646c6500" + "0000000000000001";
+
+// /VMC/Ext/Bone/Pos with the bone name, position 0, 0, 0 and rotation -0, -sin 22.5°, 0, cos 22.5°.
+// x is -0 because mirroring into Unity negates it.
+function bonePos(name) {
+  return "00000044" + "2f564d432f4578742f426f6e652f506f73000000" + "2c7366666666666666000000" + name +
+    "00000000" + "00000000" + "00000000" + "80000000" + "bec3ef15" + "00000000" + "3f6c835e";
+}
+
+// Receive the next datagrams on a socket bound to an ephemeral local port
+async function withReceiver(count, send) {
+  const receiver = dgram.createSocket("udp4");
+  const sender = dgram.createSocket("udp4");
+  await new Promise(resolve => receiver.bind(0, "127.0.0.1", resolve));
+
+  const received = [];
+  const done = new Promise(resolve => receiver.on("message", (message) => {
+    received.push(message.toString("hex"));
+    if (received.length === count) resolve();
+  }));
+
+  try {
+    send(sender, receiver.address().port);
+    await done;
+  } finally {
+    sender.close();
+    receiver.close();
+  }
+  return received;
+}
+
+function vmcOutput(port, options = {}) {
+  return { host: "127.0.0.1", port, enabled: true, protocol: "vmc", source: null, vmc: { neckShare: 0.5 }, ...options };
+}
+
+test("sendPose sends the Neck and Head bones to a VMC destination", async () => {
+  // Yaw 90° left, split evenly between Neck and Head
+  const half = Math.PI / 4;
+  const pose = { x: 0, y: 0, z: 0, yaw: 90, pitch: 0, roll: 0, quaternion: { w: Math.cos(half), x: 0, y: Math.sin(half), z: 0 } };
+
+  let sent;
+  const [packet] = await withReceiver(1, (udp, port) => {
+    sent = sendPose(udp, pose, [vmcOutput(port), vmcOutput(port, { enabled: false })]);
+  });
+
+  assert.strictEqual(sent, 1);
+  assert.strictEqual(packet, BUNDLE + bonePos("4e65636b00000000") + bonePos("4865616400000000"));
+});
+
+test("sendVmcStatus sends /VMC/Ext/OK and /VMC/Ext/T", async () => {
+  const [packet] = await withReceiver(1, (udp, port) => {
+    sendVmcStatus(udp, [vmcOutput(port), vmcOutput(port, { protocol: "ftnir" })], 12.5, true);
+  });
+
+  assert.strictEqual(packet, BUNDLE +
+    // /VMC/Ext/OK ,iiii: loaded 1, calibrated 3, normal mode 0, tracking 1
+    "00000024" + "2f564d432f4578742f4f4b00" + "2c69696969000000" + "00000001" + "00000003" + "00000000" + "00000001" +
+    // /VMC/Ext/T ,f: 12.5 s
+    "00000014" + "2f564d432f4578742f540000" + "2c660000" + "41480000");
+});
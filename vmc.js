@@ -0,0 +1,84 @@
+/**
+ * VMC protocol (Virtual Motion Capture) sender messages
+ * Drives the Head and Neck bones of an avatar in VSeeFace, Warudo and other VMC receivers
+ */
+
+const osc = require("./osc");
+
+const VMC_DEFAULTS = {
+  neckShare: 0.5    // Part of the head rotation (0–1) applied to the Neck bone, the rest goes to Head
+};
+
+// Default receiving port of VSeeFace and Warudo
+const VMC_PORT = 39539;
+
+/**
+ * WebXR (right-handed, -Z forward) to Unity (left-handed, +Z forward) by mirroring Z
+ */
+function toUnity(q) {
+  return { x: -q.x, y: -q.y, z: q.z, w: q.w };
+}
+
+/**
+ * Rotation by the given fraction of q (slerp from identity)
+ */
+function partialRotation(q, fraction) {
+  const sign = q.w < 0 ? -1 : 1;
+  const w = Math.min(1, sign * q.w);
+  const halfAngle = Math.acos(w);
+  const s = Math.sin(halfAngle);
+
+  if (s < 1e-9) return { x: 0, y: 0, z: 0, w: 1 };
+
+  const scale = sign * Math.sin(fraction * halfAngle) / s;
+  return { x: q.x * scale, y: q.y * scale, z: q.z * scale, w: Math.cos(fraction * halfAngle) };
+}
+
+function boneMessage(name, q) {
+  return osc.encodeMessage("/VMC/Ext/Bone/Pos", [
+    { type: "s", value: name },
+    { type: "f", value: 0 },
+    { type: "f", value: 0 },
+    { type: "f", value: 0 },
+    { type: "f", value: q.x },
+    { type: "f", value: q.y },
+    { type: "f", value: q.z },
+    { type: "f", value: q.w }
+  ]);
+}
+
+/**
+ * Bundle with the local Neck and Head bone rotations
+ * @param {{w, x, y, z}} quaternion - Head orientation in WebXR coordinates
+ * @param {object} options - See VMC_DEFAULTS
+ */
+function encodePose(quaternion, options) {
+  const o = { ...VMC_DEFAULTS, ...options };
+  const q = toUnity(quaternion);
+
+  // Both parts rotate about the same axis, so Head relative to Neck is simply the remainder
+  return osc.encodeBundle([
+    boneMessage("Neck", partialRotation(q, o.neckShare)),
+    boneMessage("Head", partialRotation(q, 1 - o.neckShare))
+  ]);
+}
+
+/**
+ * Bundle with the periodic availability (/VMC/Ext/OK) and time (/VMC/Ext/T) messages
+ * @param {number} seconds - Time since the sender started
+ * @param {boolean} tracking - Whether poses are currently arriving
+ */
+function encodeStatus(seconds, tracking) {
+  return osc.encodeBundle([
+    // loaded, calibration state (3 = calibrated), calibration mode (0 = normal), tracking status
+    osc.encodeMessage("/VMC/Ext/OK", [
+      { type: "i", value: 1 },
+      { type: "i", value: 3 },
+      { type: "i", value: 0 },
+      { type: "i", value: tracking ? 1 : 0 }
+    ]),
+    osc.encodeMessage("/VMC/Ext/T", [{ type: "f", value: seconds }])
+  ]);
+}
+
+module.exports = { encodePose, encodeStatus, VMC_DEFAULTS, VMC_PORT };